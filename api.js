@@ -1,98 +1,520 @@
 // API Configuration and HTTP Client
+import { OfflineQueue } from './queue.js';
+import { ResponseCache } from './cache.js';
+import { getUserTimeZone, getBrowserTimeZone } from './timezone.js';
+import { t, getLocale } from './i18n.js';
+import {
+    ApiError,
+    ValidationError,
+    AuthError,
+    ForbiddenError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    createApiError
+} from './errors.js';
+
+// Methods that are safe to send more than once
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses worth retrying: timeouts, rate limiting and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// The mock backend is a development aid; elsewhere `?mock=1` is ignored
+const MOCK_FLAG_KEY = 'educonnect_mock';
+const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// `?mock=1` turns the mock backend on (persisted in localStorage),
+// `?mock=0` turns it off
+function isMockEnabled() {
+    if (!DEV_HOSTS.includes(window.location.hostname)) return false;
+
+    const flag = new URLSearchParams(window.location.search).get('mock');
+    if (flag === '1' || flag === 'true') {
+        localStorage.setItem(MOCK_FLAG_KEY, 'true');
+    } else if (flag === '0' || flag === 'false') {
+        localStorage.removeItem(MOCK_FLAG_KEY);
+    }
+    return localStorage.getItem(MOCK_FLAG_KEY) === 'true';
+}
+
+// True for requests cancelled through an AbortSignal; these are not failures
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// Whether a failed session refresh means the refresh token was rejected
+// (401 from /api/auth/refresh) and the user must log in again. Anything
+// else (offline, server errors, bad responses) leaves the session alone.
+function isRefreshRejected(error) {
+    return error instanceof AuthError;
+}
+
+// fetch can't report upload progress, so requests with an
+// `onUploadProgress` callback go through XMLHttpRequest. Resolves to a
+// Response like fetch does.
+function sendWithProgress(url, config) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(config.method || 'GET', url);
+        xhr.responseType = 'blob';
+        Object.entries(config.headers || {}).forEach(([name, value]) => {
+            xhr.setRequestHeader(name, value);
+        });
+
+        xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable) {
+                config.onUploadProgress({ loaded: event.loaded, total: event.total });
+            }
+        };
+
+        xhr.onload = () => {
+            const headers = new Headers();
+            xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                const index = line.indexOf(':');
+                if (index > 0) {
+                    headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+                }
+            });
+            // Responses without content can't be built with a body
+            const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+            resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }));
+        };
+        xhr.onerror = () => reject(new TypeError('Network request failed'));
+        xhr.onabort = () => reject(new DOMException('Aborted', 'AbortError'));
+
+        if (config.signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        config.signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+        xhr.send(config.body ?? null);
+    });
+}
+
+// Id for a create that may be queued offline. The server returns the
+// record it already has for a known `client_id`, so replaying a write whose
+// response was lost doesn't create it twice.
+function generateClientId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function defaultTransport(url, config) {
+    return config.onUploadProgress ? sendWithProgress(url, config) : fetch(url, config);
+}
+
 class ApiClient {
-    constructor() {
+    constructor(options = {}) {
         this.baseURL = window.location.origin; // Points to the current backend
+        // Anything with fetch's signature; swapped for the mock backend in demos
+        this.transport = options.transport || defaultTransport;
         this.token = localStorage.getItem('auth_token');
+        this.refreshToken = localStorage.getItem('refresh_token');
+        this.refreshPromise = null;
+        this.retryOptions = {
+            retries: 2,
+            baseDelay: 500,
+            maxDelay: 8000,
+            ...options.retry
+        };
+        this.queue = new OfflineQueue(this);
+        this.cache = new ResponseCache();
+        this.revalidating = new Map();
+        this.interceptors = { request: [], response: [] };
+
+        this.setupDefaultInterceptors();
     }
 
-    setToken(token) {
+    setToken(token, refreshToken) {
         this.token = token;
         if (token) {
             localStorage.setItem('auth_token', token);
         } else {
             localStorage.removeItem('auth_token');
+            refreshToken = null;
+            // Cached responses belong to the user that just left
+            this.cache.clear();
+        }
+
+        if (refreshToken !== undefined) {
+            this.refreshToken = refreshToken;
+            if (refreshToken) {
+                localStorage.setItem('refresh_token', refreshToken);
+            } else {
+                localStorage.removeItem('refresh_token');
+            }
         }
     }
 
-    getAuthHeaders() {
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-        
-        if (this.token) {
-            headers['Authorization'] = `Bearer ${this.token}`;
+    // Exchange the refresh token for a new access token. Concurrent callers
+    // share the same in-flight refresh.
+    refreshSession() {
+        if (!this.refreshToken) {
+            return Promise.reject(new Error('No refresh token'));
         }
-        
-        return headers;
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.send(`${this.baseURL}/api/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            })
+                .then(response => {
+                    if (!response.success || !response.data.token) {
+                        throw new Error(t('errors.invalidResponse'));
+                    }
+                    this.setToken(response.data.token, response.data.refreshToken || this.refreshToken);
+                    window.dispatchEvent(new CustomEvent('auth:refreshed', {
+                        detail: { token: response.data.token }
+                    }));
+                    return response.data.token;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
     }
 
-    async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
-        const config = {
-            headers: this.getAuthHeaders(),
-            ...options,
-            headers: {
-                ...this.getAuthHeaders(),
-                ...options.headers
-            }
+    setTransport(transport) {
+        this.transport = transport;
+        this.cache.clear();
+    }
+
+    setRetryOptions(options) {
+        this.retryOptions = { ...this.retryOptions, ...options };
+    }
+
+    getDefaultHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            // Lets the server localize error messages
+            'Accept-Language': getLocale()
         };
+    }
 
-        try {
-            const response = await fetch(url, config);
-            
-            // Handle different response types
-            const contentType = response.headers.get('content-type');
-            let data;
-            
-            if (contentType && contentType.includes('application/json')) {
-                data = await response.json();
-            } else {
-                data = await response.text();
+    // Interceptors
+    // Request interceptors receive (config, context) and return the config
+    // to send, possibly async. Response interceptors are chained like
+    // promise handlers: onFulfilled(data, context) returns the data, and
+    // onRejected(error, context) rethrows or returns a value to recover.
+    // `context` holds { endpoint, url, options, config, client }.
+    // Both return a function that removes the interceptor.
+    addRequestInterceptor(interceptor) {
+        this.interceptors.request.push(interceptor);
+        return () => {
+            this.interceptors.request = this.interceptors.request.filter(i => i !== interceptor);
+        };
+    }
+
+    addResponseInterceptor(onFulfilled, onRejected) {
+        const interceptor = { onFulfilled, onRejected };
+        this.interceptors.response.push(interceptor);
+        return () => {
+            this.interceptors.response = this.interceptors.response.filter(i => i !== interceptor);
+        };
+    }
+
+    setupDefaultInterceptors() {
+        // Attach the bearer token
+        this.addRequestInterceptor((config) => {
+            if (this.token && !config.headers['Authorization']) {
+                config.headers['Authorization'] = `Bearer ${this.token}`;
             }
+            return config;
+        });
 
-            if (!response.ok) {
-                const error = new Error(data?.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-                error.status = response.status;
-                error.data = data;
+        // Token expired: refresh it and retry the request once
+        this.addResponseInterceptor(null, async (error, context) => {
+            if (!(error instanceof AuthError) || context.options.skipAuthRefresh || !this.refreshToken) {
                 throw error;
             }
 
-            return data;
-        } catch (error) {
-            if (error.status === 401) {
-                // Token is invalid, clear it
+            try {
+                await this.refreshSession();
+            } catch (refreshError) {
+                console.warn('Session refresh failed:', refreshError);
+                // A rejected refresh falls through to logout with the 401;
+                // any other failure keeps the session and is reported as is
+                throw isRefreshRejected(refreshError) ? error : refreshError;
+            }
+
+            // Resend with the new token; a second 401 falls through to logout
+            context.config = {
+                ...context.config,
+                headers: { ...context.config.headers, 'Authorization': `Bearer ${this.token}` }
+            };
+            return this.dispatch(context);
+        });
+
+        // Token is invalid and could not be refreshed, clear it
+        this.addResponseInterceptor(null, (error) => {
+            if (error instanceof AuthError) {
                 this.setToken(null);
                 window.dispatchEvent(new CustomEvent('auth:logout'));
             }
-            
-            console.error(`API Error (${endpoint}):`, error);
             throw error;
+        });
+
+        // Log failures
+        this.addResponseInterceptor(null, (error, context) => {
+            if (!isAbortError(error)) {
+                console.error(`API Error (${context.endpoint}):`, error);
+            }
+            throw error;
+        });
+    }
+
+    // Options beyond the fetch ones:
+    //   retries      - overrides the retry count (non-idempotent calls default to 0)
+    //   queueOffline - queue the request for later when offline; `meta` is kept with it
+    //   skipAuthRefresh - don't try to refresh the session on a 401
+    //   responseInfo - object filled with the response `etag` and `notModified`
+    //   responseType - 'blob' to get a successful response as a Blob
+    //   onUploadProgress - called with { loaded, total } while the body is sent
+    // A fetch `signal` cancels the request, including any pending retry.
+    async request(endpoint, options = {}) {
+        // Client-only options stay out of the fetch config. The transport
+        // still needs onUploadProgress, so it stays in.
+        const { retries, queueOffline, meta, skipAuthRefresh, responseInfo, responseType, ...fetchOptions } = options;
+        const context = {
+            endpoint,
+            url: `${this.baseURL}${endpoint}`,
+            options,
+            client: this
+        };
+
+        let config = {
+            ...fetchOptions,
+            method: (fetchOptions.method || 'GET').toUpperCase(),
+            headers: {
+                ...this.getDefaultHeaders(),
+                ...fetchOptions.headers
+            }
+        };
+
+        // The browser sets the multipart boundary itself
+        if (typeof FormData !== 'undefined' && config.body instanceof FormData) {
+            delete config.headers['Content-Type'];
+        }
+
+        for (const interceptor of this.interceptors.request) {
+            config = await interceptor(config, context);
+        }
+        context.config = config;
+
+        let promise = this.dispatch(context);
+        this.interceptors.response.forEach(({ onFulfilled, onRejected }) => {
+            promise = promise.then(
+                onFulfilled && (data => onFulfilled(data, context)),
+                onRejected && (error => onRejected(error, context))
+            );
+        });
+
+        return promise;
+    }
+
+    // Send the request with retries, or queue it when offline
+    async dispatch(context) {
+        const { endpoint, url, config, options } = context;
+        const { retries, queueOffline = false, meta, responseInfo, responseType } = options;
+        const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(config.method) ? this.retryOptions.retries : 0);
+
+        if (queueOffline && !navigator.onLine) {
+            return this.enqueue(config.method, endpoint, config.body, meta);
+        }
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.send(url, config, responseInfo, responseType);
+                } catch (error) {
+                    if (attempt >= maxRetries || !this.isRetryable(error)) {
+                        throw error;
+                    }
+                    await this.wait(this.getRetryDelay(attempt, error), config.signal);
+                }
+            }
+        } catch (error) {
+            if (queueOffline && error instanceof NetworkError) {
+                return this.enqueue(config.method, endpoint, config.body, meta);
+            }
+            throw error;
+        }
+    }
+
+    async send(url, config, responseInfo = {}, responseType = null) {
+        let response;
+        try {
+            response = await this.transport(url, config);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            throw new NetworkError(error);
+        }
+
+        responseInfo.etag = response.headers.get('etag');
+        responseInfo.notModified = response.status === 304;
+
+        // Our cached copy is still current; the caller already has the body
+        if (responseInfo.notModified) {
+            return null;
+        }
+        
+        if (response.ok && responseType === 'blob') {
+            return response.blob();
+        }
+
+        // Handle different response types
+        const contentType = response.headers.get('content-type');
+        let data;
+        
+        if (contentType && contentType.includes('application/json')) {
+            data = await response.json();
+        } else {
+            data = await response.text();
+        }
+
+        if (!response.ok) {
+            throw createApiError(response, data);
+        }
+
+        return data;
+    }
+
+    // Retry helpers
+    isRetryable(error) {
+        if (error instanceof NetworkError) return true;
+        return error instanceof ApiError && RETRYABLE_STATUSES.includes(error.status);
+    }
+
+    getRetryDelay(attempt, error) {
+        const retryAfter = Number(error.retryAfter);
+        if (retryAfter > 0) {
+            return Math.min(retryAfter * 1000, this.retryOptions.maxDelay);
         }
+
+        // Exponential backoff with jitter
+        const delay = this.retryOptions.baseDelay * Math.pow(2, attempt);
+        return Math.min(delay + Math.random() * delay * 0.2, this.retryOptions.maxDelay);
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    enqueue(method, endpoint, body, meta) {
+        const item = this.queue.enqueue({ method, endpoint, body, meta });
+        return { success: true, queued: true, data: { queued: item } };
     }
 
     // HTTP Methods
-    async get(endpoint, params = {}) {
+    // GETs are cached by URL (stale-while-revalidate): a cached response is
+    // returned immediately and revalidated in the background, and
+    // `onRevalidate` is called with the fresh response if it changed.
+    // Pass `cache: false` to always hit the network.
+    async get(endpoint, params = {}, options = {}) {
+        const { cache = true, onRevalidate, ...requestOptions } = options;
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${endpoint}?${queryString}` : endpoint;
-        return this.request(url, { method: 'GET' });
+
+        if (!cache) {
+            return this.request(url, { ...requestOptions, method: 'GET' });
+        }
+
+        const cached = this.cache.get(url);
+        if (cached) {
+            this.revalidate(url, cached, requestOptions, onRevalidate);
+            return cached.data;
+        }
+
+        return this.fetchAndCache(url, null, requestOptions);
     }
 
-    async post(endpoint, body = null) {
+    async fetchAndCache(url, cached, options = {}) {
+        const responseInfo = {};
+        const headers = cached?.etag
+            ? { ...options.headers, 'If-None-Match': cached.etag }
+            : options.headers;
+
+        const data = await this.request(url, { ...options, headers, method: 'GET', responseInfo });
+
+        if (responseInfo.notModified && cached) {
+            this.cache.set(url, cached.data, cached.etag);
+            return cached.data;
+        }
+
+        this.cache.set(url, data, responseInfo.etag);
+        return data;
+    }
+
+    revalidate(url, cached, options, onRevalidate) {
+        // One background revalidation per URL at a time
+        if (this.revalidating.has(url)) return;
+
+        const promise = this.fetchAndCache(url, cached, options)
+            .then(data => {
+                if (data !== cached.data && onRevalidate) {
+                    onRevalidate(data);
+                }
+            })
+            .catch(error => {
+                if (!isAbortError(error)) {
+                    console.warn(`Revalidation failed (${url}):`, error);
+                }
+            })
+            .finally(() => {
+                this.revalidating.delete(url);
+            });
+
+        this.revalidating.set(url, promise);
+    }
+
+    async post(endpoint, body = null, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: body ? JSON.stringify(body) : null
         });
     }
 
-    async put(endpoint, body = null) {
+    async put(endpoint, body = null, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: body ? JSON.stringify(body) : null
         });
     }
 
-    async delete(endpoint) {
-        return this.request(endpoint, { method: 'DELETE' });
+    async delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+
+    // Multipart request (POST unless `options.method` says otherwise).
+    // Uploads are never queued offline: the queue can't keep the files.
+    async upload(endpoint, formData, options = {}) {
+        return this.request(endpoint, {
+            method: 'POST',
+            ...options,
+            body: formData
+        });
+    }
+
+    // File download as a Blob; not cached
+    async download(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET', responseType: 'blob' });
     }
 }
 
@@ -100,6 +522,21 @@ class ApiClient {
 class ApiService {
     constructor() {
         this.client = new ApiClient();
+        this.mockBackend = null;
+
+        // Writes replayed from the offline queue make the same entries stale
+        window.addEventListener('queue:replayed', (e) => {
+            this.client.cache.invalidate(...(e.detail.item.meta?.invalidates || []));
+        });
+    }
+
+    // Await a write and drop the cached responses it made stale
+    async invalidateAfter(request, ...matchers) {
+        const response = await request;
+        if (!response.queued) {
+            this.client.cache.invalidate(...matchers);
+        }
+        return response;
     }
 
     // Auth API
@@ -107,10 +544,10 @@ class ApiService {
         const response = await this.client.post('/api/auth/login', {
             email,
             password
-        });
+        }, { skipAuthRefresh: true });
         
         if (response.success && response.data.token) {
-            this.client.setToken(response.data.token);
+            this.client.setToken(response.data.token, response.data.refreshToken || null);
         }
         
         return response;
@@ -120,112 +557,335 @@ class ApiService {
         const response = await this.client.post('/api/auth/register', {
             name,
             email,
-            password
-        });
+            password,
+            timezone: getBrowserTimeZone(),
+            locale: getLocale()
+        }, { skipAuthRefresh: true });
         
         if (response.success && response.data.token) {
-            this.client.setToken(response.data.token);
+            this.client.setToken(response.data.token, response.data.refreshToken || null);
         }
         
         return response;
     }
 
+    async refreshToken() {
+        return this.client.refreshSession();
+    }
+
     async getProfile() {
-        return this.client.get('/api/auth/profile');
+        return this.client.get('/api/auth/profile', {}, { cache: false });
+    }
+
+    async updateProfile(profileData) {
+        return this.client.put('/api/auth/profile', profileData);
     }
 
     logout() {
         this.client.setToken(null);
+        this.client.queue.clear();
         window.dispatchEvent(new CustomEvent('auth:logout'));
     }
 
     // Groups API
-    async getGroups() {
-        return this.client.get('/api/groups');
+    async getGroups(options = {}) {
+        return this.client.get('/api/groups', {}, options);
     }
 
-    async getGroup(groupId) {
-        return this.client.get(`/api/groups/${groupId}`);
+    async getGroup(groupId, options = {}) {
+        return this.client.get(`/api/groups/${groupId}`, {}, options);
     }
 
     async createGroup(groupData) {
-        return this.client.post('/api/groups', groupData);
+        return this.invalidateAfter(this.client.post('/api/groups', groupData), '/api/groups');
     }
 
     async joinGroup(joinCode) {
-        return this.client.post('/api/groups/join', { joinCode });
+        return this.invalidateAfter(this.client.post('/api/groups/join', { joinCode }), '/api/groups');
+    }
+
+    async updateGroup(groupId, groupData) {
+        return this.invalidateAfter(
+            this.client.put(`/api/groups/${groupId}`, groupData),
+            '/api/groups',
+            `/api/groups/${groupId}`
+        );
+    }
+
+    async deleteGroup(groupId) {
+        return this.invalidateAfter(
+            this.client.delete(`/api/groups/${groupId}`),
+            '/api/groups',
+            new RegExp(`^/api/groups/${groupId}(/|\\?|$)`)
+        );
+    }
+
+    async regenerateJoinCode(groupId) {
+        return this.invalidateAfter(
+            this.client.post(`/api/groups/${groupId}/join-code`),
+            '/api/groups',
+            `/api/groups/${groupId}`
+        );
     }
 
     async leaveGroup(groupId) {
-        return this.client.delete(`/api/groups/${groupId}/leave`);
+        return this.invalidateAfter(
+            this.client.delete(`/api/groups/${groupId}/leave`),
+            '/api/groups',
+            new RegExp(`^/api/groups/${groupId}(/|\\?|$)`)
+        );
+    }
+
+    // Members API
+    async getMembers(groupId, options = {}) {
+        return this.client.get(`/api/groups/${groupId}/members`, {}, options);
+    }
+
+    // `role` is the member's role in the group: 'member', 'mentor' or 'co_owner'
+    async updateMemberRole(groupId, userId, role) {
+        return this.invalidateAfter(
+            this.client.put(`/api/groups/${groupId}/members/${userId}`, { role }),
+            `/api/groups/${groupId}/members`
+        );
+    }
+
+    async removeMember(groupId, userId) {
+        return this.invalidateAfter(
+            this.client.delete(`/api/groups/${groupId}/members/${userId}`),
+            '/api/groups',
+            `/api/groups/${groupId}`,
+            `/api/groups/${groupId}/members`
+        );
+    }
+
+    async transferOwnership(groupId, userId) {
+        return this.invalidateAfter(
+            this.client.post(`/api/groups/${groupId}/transfer`, { userId }),
+            '/api/groups',
+            `/api/groups/${groupId}`,
+            `/api/groups/${groupId}/members`
+        );
     }
 
     // Mentorships API
-    async getMentorships(groupId) {
-        return this.client.get(`/api/groups/${groupId}/mentorships`);
+    async getMentorships(groupId, options = {}) {
+        return this.client.get(`/api/groups/${groupId}/mentorships`, {}, options);
+    }
+
+    // Mentorships across all of the user's groups, with `group_name`.
+    // `range` is { from, to } (Dates or ISO strings), both optional.
+    async getUserMentorships(range = {}, options = {}) {
+        const params = {};
+        if (range.from) params.from = new Date(range.from).toISOString();
+        if (range.to) params.to = new Date(range.to).toISOString();
+        return this.client.get('/api/mentorships', params, options);
     }
 
     async createMentorship(groupId, mentorshipData) {
-        return this.client.post(`/api/groups/${groupId}/mentorships`, mentorshipData);
+        const listUrl = `/api/groups/${groupId}/mentorships`;
+        const body = { client_id: generateClientId(), ...mentorshipData };
+        return this.invalidateAfter(this.client.post(listUrl, body, {
+            queueOffline: true,
+            meta: {
+                kind: 'mentorship',
+                groupId,
+                label: t('queue.labels.mentorship', { title: mentorshipData.title }),
+                invalidates: [listUrl, '/api/mentorships']
+            }
+        }), listUrl, '/api/mentorships');
     }
 
-    async updateMentorship(mentorshipId, mentorshipData) {
-        return this.client.put(`/api/mentorships/${mentorshipId}`, mentorshipData);
+    // scope 'series' applies the change to every upcoming session of a
+    // recurring series instead of just this one
+    async updateMentorship(mentorshipId, mentorshipData, scope = 'occurrence') {
+        const query = scope === 'series' ? '?scope=series' : '';
+        return this.invalidateAfter(
+            this.client.put(`/api/mentorships/${mentorshipId}${query}`, mentorshipData),
+            /\/mentorships(\?|$)/
+        );
+    }
+
+    // Cancelled sessions stay listed so the rest of the group can see them
+    async cancelMentorship(mentorshipId, scope = 'occurrence') {
+        return this.updateMentorship(mentorshipId, { status: 'cancelled' }, scope);
+    }
+
+    // Confirms attendance, or joins the waitlist when the session is full
+    async rsvpMentorship(mentorshipId) {
+        return this.invalidateAfter(
+            this.client.post(`/api/mentorships/${mentorshipId}/rsvp`),
+            /\/mentorships(\?|$)/
+        );
+    }
+
+    async cancelRsvp(mentorshipId) {
+        return this.invalidateAfter(
+            this.client.delete(`/api/mentorships/${mentorshipId}/rsvp`),
+            /\/mentorships(\?|$)/
+        );
     }
 
     async deleteMentorship(mentorshipId) {
-        return this.client.delete(`/api/mentorships/${mentorshipId}`);
+        return this.invalidateAfter(
+            this.client.delete(`/api/mentorships/${mentorshipId}`),
+            /\/mentorships(\?|$)/
+        );
     }
 
     // Materials API
-    async getMaterials(groupId) {
-        return this.client.get(`/api/groups/${groupId}/materials`);
+    async getMaterials(groupId, options = {}) {
+        return this.client.get(`/api/groups/${groupId}/materials`, {}, options);
     }
 
     async createMaterial(groupId, materialData) {
-        return this.client.post(`/api/groups/${groupId}/materials`, materialData);
+        const listUrl = `/api/groups/${groupId}/materials`;
+        const body = { client_id: generateClientId(), ...materialData };
+        return this.invalidateAfter(this.client.post(listUrl, body, {
+            queueOffline: true,
+            meta: {
+                kind: 'material',
+                groupId,
+                label: t('queue.labels.material', { title: materialData.title }),
+                invalidates: [listUrl]
+            }
+        }), listUrl);
+    }
+
+    async updateMaterial(materialId, materialData) {
+        return this.invalidateAfter(
+            this.client.put(`/api/materials/${materialId}`, materialData),
+            /\/materials(\?|$)/
+        );
+    }
+
+    // File materials: `formData` holds title, description and `file`.
+    // Pass `onUploadProgress` to follow the upload.
+    async uploadMaterial(groupId, formData, options = {}) {
+        const listUrl = `/api/groups/${groupId}/materials`;
+        return this.invalidateAfter(this.client.upload(listUrl, formData, options), listUrl);
+    }
+
+    // Update a material with a new file, or turn a link into a file
+    async replaceMaterialFile(materialId, formData, options = {}) {
+        return this.invalidateAfter(
+            this.client.upload(`/api/materials/${materialId}`, formData, { ...options, method: 'PUT' }),
+            /\/materials(\?|$)/
+        );
+    }
+
+    async downloadMaterialFile(materialId, options = {}) {
+        return this.client.download(`/api/materials/${materialId}/file`, options);
     }
 
     async deleteMaterial(materialId) {
-        return this.client.delete(`/api/materials/${materialId}`);
+        return this.invalidateAfter(
+            this.client.delete(`/api/materials/${materialId}`),
+            /\/materials(\?|$)/
+        );
+    }
+
+    // Search API
+    // Groups, materials, mentorships and messages across the user's groups.
+    // Always fresh: results are not cached.
+    async search(query, options = {}) {
+        const { limit, ...requestOptions } = options;
+        const params = limit ? { q: query, limit } : { q: query };
+        return this.client.get('/api/search', params, { ...requestOptions, cache: false });
+    }
+
+    // Calendar feed: a secret URL calendar apps can subscribe to
+    async getCalendarFeed() {
+        return this.client.get('/api/calendar/feed', {}, { cache: false });
+    }
+
+    // Issues a new URL; the old one stops working
+    async resetCalendarFeed() {
+        return this.client.post('/api/calendar/feed');
+    }
+
+    // Messages API (never cached: the chat has its own live stream)
+    // Pass `before` (a message id) in options to page back through history.
+    async getMessages(groupId, limit = 30, options = {}) {
+        const { before, ...requestOptions } = options;
+        const params = before ? { limit, before } : { limit };
+        return this.client.get(`/api/groups/${groupId}/messages`, params, { ...requestOptions, cache: false });
+    }
+
+    // `clientId` is echoed back on the created message so an optimistic
+    // copy can be matched with the server's
+    async sendMessage(groupId, content, clientId = null) {
+        clientId = clientId || generateClientId();
+        const body = { content, client_id: clientId };
+        return this.client.post(`/api/groups/${groupId}/messages`, body, {
+            queueOffline: true,
+            meta: { kind: 'message', groupId, clientId, label: t('queue.labels.message') }
+        });
     }
 
-    // Messages API
-    async getMessages(groupId, limit = 30) {
-        return this.client.get(`/api/groups/${groupId}/messages`, { limit });
+    // Offline queue
+    getQueuedRequests() {
+        return this.client.queue.getItems();
     }
 
-    async sendMessage(groupId, content) {
-        return this.client.post(`/api/groups/${groupId}/messages`, { content });
+    replayQueuedRequests() {
+        return this.client.queue.replay();
+    }
+
+    retryQueuedRequest(id) {
+        return this.client.queue.retry(id);
+    }
+
+    discardQueuedRequest(id) {
+        this.client.queue.discard(id);
+    }
+
+    // Mock backend: serve every endpoint from memory instead of the server.
+    // Imported on demand so regular page loads never fetch it.
+    async useMockBackend(fixtures, options) {
+        const { MockBackend } = await import('./mock.js');
+        this.mockBackend = new MockBackend(fixtures, options);
+        this.client.setTransport(this.mockBackend.transport);
+        return this.mockBackend;
     }
 
     // Health check
     async healthCheck() {
-        return this.client.get('/api/health');
+        return this.client.get('/api/health', {}, { cache: false });
     }
 }
 
 // Error handling helper
-function handleApiError(error, showToast = true) {
-    let message = 'Ocorreu um erro inesperado';
+// Pass the submitting `form` to show server validation details next to
+// the matching fields (`#<field>-error`) instead of only in a toast.
+function handleApiError(error, showToast = true, form = null) {
+    // Cancelled requests (e.g. the user navigated away) are not errors
+    if (isAbortError(error)) {
+        return null;
+    }
+
+    let message = t('errors.unexpected');
     
-    if (error.status === 401) {
-        message = 'Sessão expirada. Faça login novamente.';
-    } else if (error.status === 403) {
-        message = 'Acesso negado.';
-    } else if (error.status === 404) {
-        message = 'Recurso não encontrado.';
-    } else if (error.status === 400 && error.data?.error) {
-        // Validation errors
-        if (error.data.error.details) {
-            message = Object.values(error.data.error.details)[0] || error.data.error.message;
-        } else {
-            message = error.data.error.message;
+    if (error instanceof AuthError) {
+        message = t('errors.sessionExpired');
+    } else if (error instanceof ForbiddenError) {
+        message = t('errors.forbidden');
+    } else if (error instanceof NotFoundError) {
+        message = t('errors.notFound');
+    } else if (error instanceof ValidationError) {
+        const fieldMessages = Object.values(error.fields);
+
+        // Point at the form only when some field actually shows its error
+        const detail = { form, errors: error.fields, marked: 0 };
+        if (form && fieldMessages.length > 0) {
+            window.dispatchEvent(new CustomEvent('ui:form-errors', { detail }));
         }
+        message = detail.marked > 0 ? t('errors.checkFields') : fieldMessages[0] || error.message;
+    } else if (error instanceof RateLimitError) {
+        message = t('errors.rateLimited');
+    } else if (error instanceof NetworkError) {
+        message = t('errors.network');
     } else if (error.status >= 500) {
-        message = 'Erro interno do servidor. Tente novamente mais tarde.';
-    } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        message = 'Erro de conexão. Verifique sua internet.';
+        message = t('errors.server');
     } else if (error.data?.error?.message) {
         message = error.data.error.message;
     }
@@ -239,46 +899,74 @@ function handleApiError(error, showToast = true) {
     return message;
 }
 
-// Format date helper
+// Format date helpers, in the current language. Times are shown in the
+// user's configured zone unless `options.timeZone` says otherwise.
 function formatDate(dateString, options = {}) {
     const date = new Date(dateString);
     const defaultOptions = {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
+        timeZone: getUserTimeZone(),
         ...options
     };
     
-    return date.toLocaleDateString('pt-BR', defaultOptions);
+    return date.toLocaleDateString(getLocale(), defaultOptions);
 }
 
-function formatDateTime(dateString) {
+function formatDateTime(dateString, options = {}) {
     const date = new Date(dateString);
-    return date.toLocaleString('pt-BR', {
+    return date.toLocaleString(getLocale(), {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        timeZone: getUserTimeZone(),
+        ...options
     });
 }
 
-function formatTime(dateString) {
+function formatTime(dateString, options = {}) {
     const date = new Date(dateString);
-    return date.toLocaleTimeString('pt-BR', {
+    return date.toLocaleTimeString(getLocale(), {
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        timeZone: getUserTimeZone(),
+        ...options
     });
 }
 
 // Create global instance
 const api = new ApiService();
 
+// Modules importing api wait for the mock, so no request reaches the
+// real server first
+if (isMockEnabled()) {
+    await api.useMockBackend();
+}
+
 // Make available globally and export for modules
 window.api = api;
 window.handleApiError = handleApiError;
+window.isAbortError = isAbortError;
 window.formatDate = formatDate;
 window.formatDateTime = formatDateTime;
 window.formatTime = formatTime;
 
-export { api, handleApiError, formatDate, formatDateTime, formatTime };
\ No newline at end of file
+export {
+    api,
+    handleApiError,
+    isAbortError,
+    isRefreshRejected,
+    formatDate,
+    formatDateTime,
+    formatTime,
+    ApiError,
+    ValidationError,
+    AuthError,
+    ForbiddenError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError
+};
\ No newline at end of file
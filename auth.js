@@ -1,5 +1,12 @@
 // Authentication Management Module
-import { api, handleApiError } from './api.js';
+import { api, handleApiError, isRefreshRejected } from './api.js';
+import { setUserTimeZone } from './timezone.js';
+import { t, setLocale } from './i18n.js';
+
+// Failed refreshes are retried after 30 s, doubling each time, at most 5
+// times; after that the next 401 on a request tries again
+const REFRESH_RETRY_DELAY = 30 * 1000;
+const MAX_REFRESH_RETRIES = 5;
 
 class AuthManager {
     constructor() {
@@ -7,6 +14,8 @@ class AuthManager {
         this.isAuthenticated = false;
         this.isLoading = true;
         this.listeners = [];
+        this.refreshTimer = null;
+        this.refreshRetries = 0;
         
         this.init();
     }
@@ -48,16 +57,95 @@ class AuthManager {
     setUser(user) {
         this.user = user;
         this.isAuthenticated = true;
+        setUserTimeZone(user.timezone);
+        if (user.locale) setLocale(user.locale);
+        this.scheduleTokenRefresh();
+        this.notifyListeners();
+
+        // Flush writes queued while offline
+        api.replayQueuedRequests();
+    }
+
+    // Profile changes (e.g. time zone, language) for the already signed-in user
+    updateUser(user) {
+        this.user = { ...this.user, ...user };
+        setUserTimeZone(this.user.timezone);
+        if (this.user.locale) setLocale(this.user.locale);
         this.notifyListeners();
     }
 
     clearAuth() {
+        this.cancelTokenRefresh();
         this.user = null;
         this.isAuthenticated = false;
+        setUserTimeZone(null);
         api.client.setToken(null);
         this.notifyListeners();
     }
 
+    // Token expiry tracking
+    getTokenExpiry(token = api.client.token) {
+        if (!token) return null;
+
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch (error) {
+            console.warn('Could not read token expiry:', error);
+            return null;
+        }
+    }
+
+    // Refresh one minute before the token lapses (tokens last two hours)
+    scheduleTokenRefresh() {
+        this.cancelTokenRefresh();
+
+        const expiresAt = this.getTokenExpiry();
+        if (!expiresAt || !api.client.refreshToken) return;
+
+        const delay = Math.max(expiresAt - Date.now() - 60 * 1000, 0);
+        this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+    }
+
+    cancelTokenRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    async refreshSession() {
+        try {
+            // auth:refreshed reschedules the next refresh
+            await api.refreshToken();
+        } catch (error) {
+            // Only a rejected refresh token ends the session; other
+            // failures keep it and try again later
+            if (!isRefreshRejected(error)) {
+                console.warn('Session refresh failed:', error);
+                this.cancelTokenRefresh();
+                if (this.refreshRetries < MAX_REFRESH_RETRIES) {
+                    const delay = REFRESH_RETRY_DELAY * Math.pow(2, this.refreshRetries);
+                    this.refreshRetries++;
+                    this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+                }
+                return;
+            }
+
+            console.warn('Session refresh rejected:', error);
+            this.clearAuth();
+            window.dispatchEvent(new CustomEvent('ui:toast', {
+                detail: {
+                    type: 'error',
+                    message: t('errors.sessionExpired')
+                }
+            }));
+            window.dispatchEvent(new CustomEvent('router:navigate', {
+                detail: { path: '/login' }
+            }));
+        }
+    }
+
     async login(email, password) {
         try {
             const response = await api.login(email, password);
@@ -68,13 +156,13 @@ class AuthManager {
                 window.dispatchEvent(new CustomEvent('ui:toast', {
                     detail: {
                         type: 'success',
-                        message: 'Login realizado com sucesso!'
+                        message: t('auth.loginSuccess')
                     }
                 }));
                 
                 return response;
             } else {
-                throw new Error('Resposta inválida do servidor');
+                throw new Error(t('errors.invalidResponse'));
             }
         } catch (error) {
             handleApiError(error);
@@ -92,13 +180,13 @@ class AuthManager {
                 window.dispatchEvent(new CustomEvent('ui:toast', {
                     detail: {
                         type: 'success',
-                        message: 'Conta criada com sucesso!'
+                        message: t('auth.registerSuccess')
                     }
                 }));
                 
                 return response;
             } else {
-                throw new Error('Resposta inválida do servidor');
+                throw new Error(t('errors.invalidResponse'));
             }
         } catch (error) {
             handleApiError(error);
@@ -114,7 +202,7 @@ class AuthManager {
         window.dispatchEvent(new CustomEvent('ui:toast', {
             detail: {
                 type: 'info',
-                message: 'Logout realizado com sucesso'
+                message: t('auth.logoutSuccess')
             }
         }));
         
@@ -188,14 +276,56 @@ class AuthManager {
         return group.owner_id === this.user.id;
     }
 
+    // Current user's role in a group: 'owner', 'co_owner', 'mentor' or 'member'
+    getGroupRole(group, members = []) {
+        if (!this.user || !group) return null;
+        if (group.owner_id === this.user.id) return 'owner';
+        const member = members.find(m => m.user_id === this.user.id);
+        return member?.group_role || 'member';
+    }
+
+    canChangeMemberRole(group, member) {
+        if (!this.canManageGroup(group) || !member) return false;
+        return member.user_id !== this.user.id;
+    }
+
+    canRemoveMember(group, member, members = []) {
+        if (!this.user || !group || !member) return false;
+        if (member.user_id === group.owner_id || member.user_id === this.user.id) return false;
+
+        const role = this.getGroupRole(group, members);
+        if (role === 'owner') return true;
+        // Co-owners can remove anyone but other co-owners
+        return role === 'co_owner' && member.group_role !== 'co_owner';
+    }
+
+    canTransferOwnership(group, member) {
+        return this.canChangeMemberRole(group, member);
+    }
+
+    canEditMentorship(mentorship) {
+        return this.canDeleteMentorship(mentorship) && mentorship.status !== 'cancelled';
+    }
+
+    // Anyone but the mentor running the session
+    canRsvpMentorship(mentorship) {
+        if (!this.user || !mentorship) return false;
+        return mentorship.created_by !== this.user.id && mentorship.status !== 'cancelled';
+    }
+
     canDeleteMentorship(mentorship) {
         if (!this.user || !mentorship) return false;
         return mentorship.created_by === this.user.id;
     }
 
-    canDeleteMaterial(material) {
+    // The uploader or the owner of the material's group
+    canEditMaterial(material, group = null) {
         if (!this.user || !material) return false;
-        return material.uploaded_by === this.user.id;
+        return material.uploaded_by === this.user.id || this.canManageGroup(group);
+    }
+
+    canDeleteMaterial(material, group = null) {
+        return this.canEditMaterial(material, group);
     }
 }
 
@@ -205,36 +335,36 @@ class AuthForms {
         return `
             <form id="login-form" class="login-form" novalidate>
                 <div class="form-group">
-                    <label for="email">E-mail</label>
+                    <label for="email">${t('auth.email')}</label>
                     <input 
                         type="email" 
                         id="email" 
                         name="email" 
                         required 
                         autocomplete="email"
-                        placeholder="seu.email@exemplo.com"
+                        placeholder="${t('auth.emailPlaceholder')}"
                     >
                     <span class="input-error" id="email-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="password">Senha</label>
+                    <label for="password">${t('auth.password')}</label>
                     <input 
                         type="password" 
                         id="password" 
                         name="password" 
                         required 
                         autocomplete="current-password"
-                        placeholder="Digite sua senha"
+                        placeholder="${t('auth.passwordPlaceholder')}"
                     >
                     <span class="input-error" id="password-error"></span>
                 </div>
                 
                 <button type="submit" class="btn btn-primary" id="login-submit">
-                    <span class="btn-text">Entrar</span>
+                    <span class="btn-text">${t('auth.login')}</span>
                     <span class="btn-loading hidden">
                         <span class="spinner"></span>
-                        Entrando...
+                        ${t('auth.loggingIn')}
                     </span>
                 </button>
             </form>
@@ -245,49 +375,49 @@ class AuthForms {
         return `
             <form id="register-form" class="register-form" novalidate>
                 <div class="form-group">
-                    <label for="name">Nome completo</label>
+                    <label for="name">${t('auth.name')}</label>
                     <input 
                         type="text" 
                         id="name" 
                         name="name" 
                         required 
                         autocomplete="name"
-                        placeholder="Seu nome completo"
+                        placeholder="${t('auth.namePlaceholder')}"
                     >
                     <span class="input-error" id="name-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="email">E-mail</label>
+                    <label for="email">${t('auth.email')}</label>
                     <input 
                         type="email" 
                         id="email" 
                         name="email" 
                         required 
                         autocomplete="email"
-                        placeholder="seu.email@exemplo.com"
+                        placeholder="${t('auth.emailPlaceholder')}"
                     >
                     <span class="input-error" id="email-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="password">Senha</label>
+                    <label for="password">${t('auth.password')}</label>
                     <input 
                         type="password" 
                         id="password" 
                         name="password" 
                         required 
                         autocomplete="new-password"
-                        placeholder="Mínimo 6 caracteres"
+                        placeholder="${t('auth.newPasswordPlaceholder')}"
                     >
                     <span class="input-error" id="password-error"></span>
                 </div>
                 
                 <button type="submit" class="btn btn-primary" id="register-submit">
-                    <span class="btn-text">Criar conta</span>
+                    <span class="btn-text">${t('auth.register')}</span>
                     <span class="btn-loading hidden">
                         <span class="spinner"></span>
-                        Criando...
+                        ${t('auth.registering')}
                     </span>
                 </button>
             </form>
@@ -312,20 +442,20 @@ class AuthForms {
         // Validate name (for register form)
         if (data.name !== undefined) {
             if (!auth.validateName(data.name)) {
-                errors.name = 'Nome deve ter pelo menos 2 caracteres';
+                errors.name = t('validation.nameLength', { min: 2 });
                 isValid = false;
             }
         }
 
         // Validate email
         if (!auth.validateEmail(data.email)) {
-            errors.email = 'Digite um e-mail válido';
+            errors.email = t('validation.email');
             isValid = false;
         }
 
         // Validate password
         if (!auth.validatePassword(data.password)) {
-            errors.password = 'Senha deve ter pelo menos 6 caracteres';
+            errors.password = t('validation.passwordLength', { min: 6 });
             isValid = false;
         }
 
@@ -365,6 +495,14 @@ window.addEventListener('auth:logout', () => {
     auth.clearAuth();
 });
 
+// Keep the refresh timer in step with the current token
+window.addEventListener('auth:refreshed', () => {
+    auth.refreshRetries = 0;
+    if (auth.isAuthenticated) {
+        auth.scheduleTokenRefresh();
+    }
+});
+
 // Make available globally and export for modules
 window.auth = auth;
 window.AuthForms = AuthForms;
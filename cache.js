@@ -0,0 +1,45 @@
+// Client-side Response Cache
+// GET responses keyed by URL, with the ETag needed to revalidate them.
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 100;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    set(key, data, etag = null) {
+        // Re-insert so the Map stays in least-recently-stored order
+        this.entries.delete(key);
+        this.entries.set(key, { data, etag, storedAt: Date.now() });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Drop entries matching any of the given matchers. A string matches the
+    // URL path exactly (any query string is ignored), a RegExp is tested
+    // against the full key.
+    invalidate(...matchers) {
+        for (const key of [...this.entries.keys()]) {
+            const path = key.split('?')[0];
+            const matches = matchers.some(matcher => matcher instanceof RegExp
+                ? matcher.test(key)
+                : matcher === path);
+
+            if (matches) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+export { ResponseCache };
@@ -0,0 +1,103 @@
+// Calendar Date Helpers
+// Date math for the month and week views of mentorships. Weeks start on
+// Sunday. Grid days are plain local Dates standing for calendar days;
+// sessions are placed on them by their date in the user's time zone.
+import { getUserTimeZone, getZonedParts } from './timezone.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const UPCOMING_WINDOW = 7 * DAY; // Sessions this close are highlighted
+
+function startOfDay(date) {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Calendar day `date` falls on in `timeZone`, as a local Date
+function toZonedDay(date, timeZone = getUserTimeZone()) {
+    const parts = getZonedParts(date, timeZone);
+    return new Date(parts.year, parts.month - 1, parts.day);
+}
+
+function isSameDay(a, b) {
+    return a.getFullYear() === b.getFullYear()
+        && a.getMonth() === b.getMonth()
+        && a.getDate() === b.getDate();
+}
+
+// Days shown by a view around `date`: 7 for a week, whole weeks covering
+// the month for a month. `end` is exclusive.
+function getCalendarRange(view, date) {
+    const anchor = startOfDay(date);
+    let start;
+    let end;
+
+    if (view === 'week') {
+        start = addDays(anchor, -anchor.getDay());
+        end = addDays(start, 7);
+    } else {
+        const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+        const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+        start = addDays(first, -first.getDay());
+        end = addDays(last, 7 - last.getDay());
+    }
+
+    const days = [];
+    for (let day = start; day < end; day = addDays(day, 1)) {
+        days.push(day);
+    }
+
+    return { start, end, days };
+}
+
+// Previous (-1) or next (1) month or week
+function shiftCalendarDate(view, date, direction) {
+    if (view === 'week') {
+        return addDays(date, 7 * direction);
+    }
+    return new Date(date.getFullYear(), date.getMonth() + direction, 1);
+}
+
+// Mentorships keyed by their day (YYYY-MM-DD) in `timeZone`, each day
+// sorted by time
+function groupByDay(mentorships, timeZone = getUserTimeZone()) {
+    const byDay = new Map();
+
+    [...mentorships]
+        .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date))
+        .forEach(mentorship => {
+            const key = dayKey(toZonedDay(mentorship.scheduled_date, timeZone));
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(mentorship);
+        });
+
+    return byDay;
+}
+
+function dayKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Not cancelled and starting within the next week
+function isUpcoming(mentorship, now = new Date()) {
+    const time = new Date(mentorship.scheduled_date).getTime() - now.getTime();
+    return mentorship.status !== 'cancelled' && time >= 0 && time <= UPCOMING_WINDOW;
+}
+
+export {
+    addDays,
+    toZonedDay,
+    isSameDay,
+    getCalendarRange,
+    shiftCalendarDate,
+    groupByDay,
+    dayKey,
+    isUpcoming
+};
@@ -0,0 +1,113 @@
+// API Error Types
+// Every failed request rejects with an ApiError subclass, so callers can
+// branch on `instanceof` instead of status codes.
+
+class ApiError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+
+    // Code sent by the server in `error.code`, if any
+    get code() {
+        return this.data?.error?.code || null;
+    }
+}
+
+class ValidationError extends ApiError {
+    constructor(message, status, data) {
+        super(message, status, data);
+        this.name = 'ValidationError';
+        this.fields = ValidationError.normalizeDetails(data?.error?.details);
+    }
+
+    // Server details map field -> message (or a list of messages)
+    static normalizeDetails(details) {
+        const fields = {};
+        if (!details || typeof details !== 'object') return fields;
+
+        Object.entries(details).forEach(([field, message]) => {
+            const first = Array.isArray(message) ? message[0] : message;
+            if (first) fields[field] = String(first);
+        });
+
+        return fields;
+    }
+}
+
+class AuthError extends ApiError {
+    constructor(message, status, data) {
+        super(message, status, data);
+        this.name = 'AuthError';
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message, status, data) {
+        super(message, status, data);
+        this.name = 'ForbiddenError';
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message, status, data) {
+        super(message, status, data);
+        this.name = 'NotFoundError';
+    }
+}
+
+class RateLimitError extends ApiError {
+    constructor(message, status, data, retryAfter = null) {
+        super(message, status, data);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+// fetch itself failed: offline, DNS, CORS or the server is unreachable
+class NetworkError extends ApiError {
+    constructor(cause) {
+        super(cause?.message || 'Network request failed');
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+}
+
+function createApiError(response, data) {
+    const status = response.status;
+    const message = data?.error?.message || `HTTP ${status}: ${response.statusText}`;
+
+    switch (status) {
+        case 400:
+        case 413: // Upload too large
+        case 415: // Upload type not allowed
+        case 422:
+            return new ValidationError(message, status, data);
+        case 401:
+            return new AuthError(message, status, data);
+        case 403:
+            return new ForbiddenError(message, status, data);
+        case 404:
+            return new NotFoundError(message, status, data);
+        case 429:
+            return new RateLimitError(message, status, data, response.headers.get('retry-after'));
+        default: {
+            const error = new ApiError(message, status, data);
+            error.retryAfter = response.headers.get('retry-after');
+            return error;
+        }
+    }
+}
+
+export {
+    ApiError,
+    ValidationError,
+    AuthError,
+    ForbiddenError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    createApiError
+};
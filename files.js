@@ -0,0 +1,66 @@
+// File uploads
+// Limits for material uploads, shared by the upload form and the mock
+// backend. They match the API's (see Materials in API.md).
+const MAX_UPLOAD_SIZE = 20 * 1024 * 1024; // 20 MB
+
+// Accepted files by extension. Browsers leave File#type empty for some
+// extensions, so the extension is used when the type is missing.
+const UPLOAD_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Value for the file input's `accept` attribute
+const UPLOAD_ACCEPT = Object.keys(UPLOAD_TYPES).map(extension => `.${extension}`).join(',');
+
+// MIME type of an accepted file, or null when the type isn't allowed
+function getUploadType(file) {
+    if (file.type) {
+        return Object.values(UPLOAD_TYPES).includes(file.type) ? file.type : null;
+    }
+
+    const name = file.name || '';
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return UPLOAD_TYPES[extension] || null;
+}
+
+// Problem with a file picked for upload: 'empty', 'tooLarge', 'unsupported',
+// or null when it can be sent
+function checkUpload(file) {
+    if (file.size === 0) return 'empty';
+    if (file.size > MAX_UPLOAD_SIZE) return 'tooLarge';
+    if (!getUploadType(file)) return 'unsupported';
+    return null;
+}
+
+// Offer a Blob to the user as a downloaded file
+function saveFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export {
+    MAX_UPLOAD_SIZE,
+    UPLOAD_TYPES,
+    UPLOAD_ACCEPT,
+    getUploadType,
+    checkUpload,
+    saveFile
+};
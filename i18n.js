@@ -0,0 +1,130 @@
+// Internationalization
+// Messages live in per-language catalogs (messages.<locale>.js), nested by
+// screen. A message is a string with {placeholders}, or an object of
+// plural forms picked by `count`:
+//
+//   t('groups.memberCount', { count: 3 })  // "3 membros"
+//
+// Parameters are inserted as-is; escape user content before passing it to
+// a message that is rendered as HTML.
+import { messages as ptBR } from './messages.pt-BR.js';
+import { messages as en } from './messages.en.js';
+import { messages as es } from './messages.es.js';
+
+const DEFAULT_LOCALE = 'pt-BR';
+const STORAGE_KEY = 'locale';
+
+const LOCALES = {
+    'pt-BR': { name: 'Português', messages: ptBR },
+    en: { name: 'English', messages: en },
+    es: { name: 'Español', messages: es }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+// Supported locale for a BCP 47 tag: exact match first, then by language
+// ('pt-PT' -> 'pt-BR', 'en-GB' -> 'en'). Null when unsupported.
+function resolveLocale(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+    const match = Object.keys(LOCALES).find(code => code.toLowerCase() === tag.toLowerCase());
+    if (match) return match;
+
+    const language = tag.split('-')[0].toLowerCase();
+    return Object.keys(LOCALES).find(code => code.split('-')[0].toLowerCase() === language) || null;
+}
+
+// Saved choice, then the browser's languages, then Portuguese
+function detectLocale() {
+    const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+    const browser = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+
+    for (const tag of [saved, ...browser]) {
+        const locale = resolveLocale(tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Switch language; returns the locale actually used. Pages rendered before
+// the change keep their text until they are rendered again. `persist`
+// remembers the choice on this device for the next visit.
+function setLocale(tag, { persist = true } = {}) {
+    const locale = resolveLocale(tag) || DEFAULT_LOCALE;
+    currentLocale = locale;
+
+    if (persist && typeof localStorage !== 'undefined') {
+        localStorage.setItem(STORAGE_KEY, locale);
+    }
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = locale;
+    }
+
+    return locale;
+}
+
+function listLocales() {
+    return Object.entries(LOCALES).map(([code, { name }]) => ({ code, name }));
+}
+
+function lookup(messages, key) {
+    return key.split('.').reduce((node, part) => node?.[part], messages);
+}
+
+function isPlural(message) {
+    return message !== null && typeof message === 'object' && 'other' in message;
+}
+
+function t(key, params = {}) {
+    let message = lookup(LOCALES[currentLocale].messages, key);
+    // Untranslated messages fall back to Portuguese, then to the key
+    if (message === undefined) {
+        message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+    }
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+
+    if (isPlural(message)) {
+        const count = Number(params.count) || 0;
+        const form = count === 0 && message.zero !== undefined
+            ? 'zero'
+            : new Intl.PluralRules(currentLocale).select(count);
+        message = message[form] ?? message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value ?? '');
+    });
+}
+
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+// Weekday names starting on Sunday, to match Date#getDay()
+function getWeekdayNames(style = 'short') {
+    const format = new Intl.DateTimeFormat(currentLocale, { weekday: style, timeZone: 'UTC' });
+    // 2023-01-01 was a Sunday
+    return Array.from({ length: 7 }, (_, day) => format.format(Date.UTC(2023, 0, 1 + day)));
+}
+
+setLocale(detectLocale(), { persist: false });
+
+export {
+    DEFAULT_LOCALE,
+    t,
+    getLocale,
+    setLocale,
+    resolveLocale,
+    detectLocale,
+    listLocales,
+    formatNumber,
+    getWeekdayNames
+};
@@ -0,0 +1,103 @@
+// iCalendar (.ics) Export
+// Builds RFC 5545 calendars from mentorships. UIDs are stable and SEQUENCE
+// follows the last update, so re-importing a file or refreshing a feed
+// updates the existing event (and cancellations show as cancelled) instead
+// of adding a duplicate.
+import { saveFile } from './files.js';
+import { t } from './i18n.js';
+
+const PRODUCT_ID = '-//EduConnect//Mentorias//PT-BR';
+const DEFAULT_DURATION = 60 * 60 * 1000; // Mentorships have no end time yet
+
+// 20250303T140000Z
+function formatIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/[;,]/g, match => `\\${match}`);
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        if (size + charSize > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+}
+
+function mentorshipUid(mentorship, host) {
+    return `mentorship-${mentorship.id}@${host}`;
+}
+
+// `origin` is used for the event URL and UID domain; `group_name` on the
+// mentorship, when present, goes in the description.
+function buildEvent(mentorship, origin) {
+    const host = new URL(origin).host;
+    const start = new Date(mentorship.scheduled_date);
+    const end = new Date(start.getTime() + DEFAULT_DURATION);
+    const updated = mentorship.updated_at || mentorship.created_at || mentorship.scheduled_date;
+
+    const description = [
+        mentorship.description,
+        mentorship.mentor_name ? t('mentorships.mentor', { name: mentorship.mentor_name }) : '',
+        mentorship.group_name ? t('mentorships.group', { name: mentorship.group_name }) : ''
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${mentorshipUid(mentorship, host)}`,
+        `DTSTAMP:${formatIcsDate(updated)}`,
+        `LAST-MODIFIED:${formatIcsDate(updated)}`,
+        `SEQUENCE:${Math.floor(new Date(updated).getTime() / 1000)}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(mentorship.title)}`,
+        ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+        `URL:${origin}/group/${mentorship.group_id}`,
+        `STATUS:${mentorship.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+    ];
+}
+
+function buildCalendar(mentorships, { name = 'EduConnect', origin = window.location.origin } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        // Hint for subscribed calendars; Google ignores it and uses its own schedule
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...mentorships.flatMap(mentorship => buildEvent(mentorship, origin)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Save a calendar through a temporary link
+function downloadCalendar(filename, content) {
+    saveFile(filename, new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+}
+
+export { buildCalendar, downloadCalendar };
@@ -0,0 +1,135 @@
+// Material Types
+// Classifies materials for the in-app viewers: uploaded files by their
+// MIME type, links by their URL. 'pdf', 'image' and 'video' have a viewer;
+// other links and files ('link', 'file') are only opened or downloaded.
+// Also holds the categories, tags and filters of the materials tab.
+import { getLocale } from './i18n.js';
+import { getQueryWords, matchesWords } from './search.js';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+const VIEWABLE_TYPES = ['pdf', 'image', 'video'];
+
+// Category ids; names are in the `materials.categories` messages
+const MATERIAL_CATEGORIES = ['exercises', 'slides', 'past_exam', 'notes', 'reading', 'other'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MATERIAL_SORTS = ['date', 'title'];
+
+// Only web links get a viewer
+function parseUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return /^https?:$/.test(parsed.protocol) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Links are only saved, opened or shown for http(s) URLs, so a
+// `javascript:` one never becomes a clickable href
+function isWebUrl(url) {
+    return Boolean(parseUrl(url));
+}
+
+// Player URL for a YouTube or Vimeo link, or null for anything else
+function getVideoEmbedUrl(url) {
+    const parsed = parseUrl(url);
+    if (!parsed) return null;
+
+    const host = parsed.hostname.replace(/^(www\.|m\.)/, '');
+    if (host === 'youtu.be' || host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        // youtu.be/<id>, youtube.com/watch?v=<id>, /embed/<id>, /shorts/<id>, /live/<id>
+        const id = host === 'youtu.be'
+            ? parsed.pathname.slice(1)
+            : parsed.searchParams.get('v') || (parsed.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/) || [])[1];
+        return /^[\w-]{11}$/.test(id || '') ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+        // vimeo.com/<id>, player.vimeo.com/video/<id>; unlisted videos add a
+        // hash (vimeo.com/<id>/<hash> or ?h=<hash>) that the player needs
+        const [, id, pathHash] = parsed.pathname.match(/^\/(?:video\/)?(\d+)(?:\/([\da-f]+))?\/?$/) || [];
+        const hash = pathHash || parsed.searchParams.get('h');
+        if (!id) return null;
+        return `https://player.vimeo.com/video/${id}${hash ? `?h=${encodeURIComponent(hash)}` : ''}`;
+    }
+
+    return null;
+}
+
+function getMaterialType(material) {
+    if (material.file_name) {
+        if (material.mime_type === 'application/pdf') return 'pdf';
+        if (material.mime_type?.startsWith('image/')) return 'image';
+        return 'file';
+    }
+
+    if (getVideoEmbedUrl(material.url)) return 'video';
+
+    const parsed = parseUrl(material.url);
+    const name = parsed ? parsed.pathname.split('/').pop() : '';
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    if (extension === 'pdf') return 'pdf';
+    if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    return 'link';
+}
+
+function isViewable(material) {
+    return VIEWABLE_TYPES.includes(getMaterialType(material));
+}
+
+// Host shown on link cards ('example.com')
+function getLinkHost(url) {
+    return parseUrl(url)?.hostname.replace(/^www\./, '') || '';
+}
+
+// "Cálculo,  limites, cálculo" -> ['cálculo', 'limites']. Also accepts a list.
+function parseTags(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+    const normalized = tags
+        .map(tag => String(tag).trim().replace(/\s+/g, ' ').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(normalized)];
+}
+
+// Every tag used in the list, alphabetically
+function listTags(materials) {
+    const tags = new Set(materials.flatMap(material => material.tags || []));
+    return [...tags].sort((a, b) => a.localeCompare(b, getLocale()));
+}
+
+// Filters: `q` (every word must appear in the title or description), `tag`,
+// `category`, and `sort` ('date', newest first, or 'title')
+function filterMaterials(materials, { q = '', tag = '', category = '', sort = 'date' } = {}) {
+    const words = getQueryWords(q);
+
+    const filtered = materials.filter(material => {
+        if (tag && !(material.tags || []).includes(tag)) return false;
+        if (category && material.category !== category) return false;
+        return matchesWords(words, material.title, material.description || '');
+    });
+
+    return filtered.sort(sort === 'title'
+        ? (a, b) => a.title.localeCompare(b.title, getLocale(), { sensitivity: 'base' })
+        : (a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+function hasFilters({ q, tag, category } = {}) {
+    return Boolean(q?.trim() || tag || category);
+}
+
+export {
+    MATERIAL_CATEGORIES,
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    MATERIAL_SORTS,
+    isWebUrl,
+    getMaterialType,
+    getVideoEmbedUrl,
+    isViewable,
+    getLinkHost,
+    parseTags,
+    listTags,
+    filterMaterials,
+    hasFilters
+};
@@ -0,0 +1,425 @@
+// English messages. See i18n.js.
+const messages = {
+    common: {
+        back: 'Back',
+        backToDashboard: 'Back to Dashboard',
+        cancel: 'Cancel',
+        chooseOption: 'Choose an option',
+        close: 'Close',
+        closeModal: 'Close dialog',
+        confirm: 'Confirm',
+        delete: 'Delete',
+        description: 'Description',
+        discard: 'Discard',
+        edit: 'Edit',
+        error: 'Error',
+        loading: 'Loading...',
+        logout: 'Log out',
+        remove: 'Remove',
+        retry: 'Try again',
+        save: 'Save',
+        saveChanges: 'Save changes',
+        title: 'Title'
+    },
+
+    titles: {
+        login: 'Log in',
+        register: 'Sign up',
+        dashboard: 'Dashboard',
+        group: 'Group',
+        groupSettings: 'Group Settings',
+        search: 'Search'
+    },
+
+    errors: {
+        unexpected: 'An unexpected error occurred',
+        sessionExpired: 'Your session has expired. Please log in again.',
+        forbidden: 'Access denied.',
+        notFound: 'Not found.',
+        checkFields: 'Please check the highlighted fields.',
+        rateLimited: 'Too many requests. Please wait a moment and try again.',
+        network: 'Connection error. Check your internet connection.',
+        server: 'Server error. Please try again later.',
+        invalidResponse: 'Invalid response from the server',
+        page: 'Could not load the page',
+        pageNotFound: 'Page not found',
+        loginPage: 'Could not load the login page',
+        registerPage: 'Could not load the sign-up page',
+        dashboard: 'Could not load the dashboard',
+        group: 'Could not load the group',
+        groupNotFound: 'Group not found',
+        settings: 'Could not load the group settings',
+        settingsOwnerOnly: 'Only the group owner can access the settings',
+        groups: 'Error loading groups',
+        mentorships: 'Error loading mentorships',
+        materials: 'Error loading materials',
+        members: 'Error loading members',
+        search: 'Could not load the search'
+    },
+
+    validation: {
+        required: '{field} is required',
+        email: 'Enter a valid email address',
+        emailRequired: 'Email is required',
+        passwordRequired: 'Password is required',
+        passwordLength: 'Password must be at least {min} characters',
+        nameLength: 'Name must be at least {min} characters',
+        dateTimeRequired: 'Date and time are required',
+        dateTimeInvalid: 'Invalid date and time',
+        dateTimeFuture: 'Date and time must be in the future'
+    },
+
+    auth: {
+        loginSubtitle: 'Log in to your account to continue',
+        registerSubtitle: 'Create your account to get started',
+        noAccount: 'Don\'t have an account?',
+        haveAccount: 'Already have an account?',
+        loginLink: 'Log in',
+        name: 'Full name',
+        namePlaceholder: 'Your full name',
+        email: 'Email',
+        emailPlaceholder: 'your.email@example.com',
+        password: 'Password',
+        passwordPlaceholder: 'Enter your password',
+        newPasswordPlaceholder: 'At least 6 characters',
+        login: 'Log in',
+        loggingIn: 'Logging in...',
+        register: 'Sign up',
+        registering: 'Signing up...',
+        loginSuccess: 'Logged in successfully!',
+        registerSuccess: 'Account created!',
+        logoutSuccess: 'Logged out'
+    },
+
+    dashboard: {
+        title: 'Dashboard',
+        greeting: 'Hi, {name}!',
+        defaultUser: 'User'
+    },
+
+    preferences: {
+        title: 'Preferences',
+        language: 'Language',
+        timezone: 'Time zone',
+        deviceZone: 'Your device is set to {zone}.',
+        timezoneHelp: 'Mentorship times are shown in this zone, and new ones are scheduled in it.',
+        saved: 'Preferences saved!'
+    },
+
+    queue: {
+        pendingChanges: 'Pending changes',
+        offline: 'Offline',
+        queued: 'You\'re offline. {label} will be sent when the connection is back.',
+        status: {
+            pending: 'Pending',
+            sending: 'Sending...',
+            failed: 'Failed'
+        },
+        labels: {
+            default: 'The change',
+            mentorship: 'Mentorship "{title}"',
+            material: 'Material "{title}"',
+            message: 'Message'
+        }
+    },
+
+    groups: {
+        mine: 'My Groups',
+        loading: 'Loading groups...',
+        loadingOne: 'Loading group...',
+        emptyTitle: 'No groups found',
+        emptyText: 'Create a new group or join an existing one with its code.',
+        memberCount: {
+            one: '{count} member',
+            other: '{count} members'
+        },
+        joinCode: 'Code: {code}',
+        create: 'Create Group',
+        createTitle: 'Create New Group',
+        join: 'Join Group',
+        joinWithCode: 'Join with Code',
+        leave: 'Leave group',
+        leaveConfirm: 'Are you sure you want to leave <strong>{name}</strong>? You\'ll need the group code to come back.',
+        leaveOwner: {
+            title: 'You own this group',
+            message: 'Before leaving, transfer ownership to another member in the <strong>Members</strong> tab or delete the group in the settings.',
+            confirm: 'Open settings'
+        },
+        form: {
+            name: 'Group Name',
+            joinCode: 'Group Code',
+            joinCodePlaceholder: 'Enter the code'
+        },
+        toasts: {
+            created: 'Group created!',
+            joined: 'You joined the group!',
+            updated: 'Group updated!',
+            deleted: 'Group deleted.',
+            left: 'You left {name}.'
+        }
+    },
+
+    settings: {
+        link: 'Settings',
+        title: 'Group Settings',
+        loading: 'Loading settings...',
+        backToGroup: 'Back to group',
+        info: 'Details',
+        joinCode: {
+            title: 'Join code',
+            text: 'Share this code so others can join the group. Generate a new one if it has leaked; the current code will stop working.',
+            regenerate: 'Generate new code',
+            confirm: 'The current code will stop working. Anyone who hasn\'t joined yet will need the new code.',
+            regenerated: 'New code generated!'
+        },
+        danger: {
+            title: 'Danger zone',
+            text: 'Deleting the group removes all of its mentorships, materials and messages. This can\'t be undone.',
+            delete: 'Delete group',
+            confirm: 'Are you sure you want to delete <strong>{name}</strong>? All mentorships, materials and messages will be deleted.'
+        }
+    },
+
+    members: {
+        title: 'Members',
+        loading: 'Loading members...',
+        empty: 'No members found.',
+        joined: 'Joined {date}',
+        roleOf: 'Role of {name}',
+        userRoles: {
+            student: 'Student',
+            teacher: 'Teacher'
+        },
+        groupRoles: {
+            owner: 'Owner',
+            co_owner: 'Co-owner',
+            mentor: 'Mentor',
+            member: 'Member'
+        },
+        transfer: 'Transfer ownership',
+        transferAction: 'Transfer',
+        transferConfirm: '<strong>{name}</strong> will become the group owner and you will stay on as a co-owner. Continue?',
+        remove: {
+            title: 'Remove member',
+            message: 'Remove <strong>{name}</strong> from the group?'
+        },
+        toasts: {
+            roleUpdated: 'Role updated!',
+            removed: 'Member removed.',
+            transferred: 'Group ownership transferred.'
+        }
+    },
+
+    search: {
+        label: 'Search all groups',
+        placeholder: 'Search...',
+        title: 'Search',
+        heading: 'Results for "{query}"',
+        minLength: 'Type at least {min} characters to search.',
+        searching: 'Searching...',
+        empty: 'Nothing found for "{query}".',
+        showing: 'Showing {shown} of {total}',
+        inGroup: 'in {name}',
+        mentorshipNotFound: 'This mentorship no longer exists.',
+        messageNotFound: 'The message wasn\'t found in the recent history.',
+        types: {
+            groups: 'Groups',
+            materials: 'Materials',
+            mentorships: 'Mentorships',
+            messages: 'Messages'
+        }
+    },
+
+    calendar: {
+        views: {
+            list: 'List',
+            month: 'Month',
+            week: 'Week'
+        },
+        viewsLabel: 'View',
+        previous: 'Previous',
+        next: 'Next',
+        today: 'Today'
+    },
+
+    calendarFeed: {
+        title: 'Subscribe to Calendar',
+        intro: 'Subscribe to this address in Google Calendar, Outlook or Thunderbird to see the mentorships of all your groups. Changes and cancellations are updated automatically.',
+        url: 'Calendar address',
+        private: 'This address is personal: anyone with the link can see your mentorships. If it leaks, generate a new one.',
+        openApp: 'Open in app',
+        copy: 'Copy',
+        copied: 'Address copied!',
+        copyManually: 'Copy the selected address.',
+        reset: 'Generate new address',
+        resetConfirm: 'The current address will stop working, and calendars subscribed to it will stop updating.',
+        resetDone: 'New address generated. Update your subscriptions.'
+    },
+
+    chat: {
+        title: 'Chat',
+        loading: 'Loading messages...',
+        loadOlder: 'Load earlier messages',
+        placeholder: 'Type your message...',
+        send: 'Send',
+        status: {
+            sending: 'Sending...',
+            queued: 'Waiting for connection',
+            failed: 'Failed to send'
+        }
+    },
+
+    mentorships: {
+        title: 'Mentorships',
+        mine: 'My Mentorships',
+        loading: 'Loading mentorships...',
+        empty: 'No mentorships scheduled yet.',
+        noneUpcoming: 'No mentorships in the next {days} days.',
+        schedule: 'Schedule Mentorship',
+        upcoming: 'Coming up',
+        cancelled: 'Cancelled',
+        recurring: 'Recurring session',
+        mentor: 'Mentor: {name}',
+        group: 'Group: {name}',
+        mentorTime: '{time} in the mentor\'s time zone',
+        addToCalendar: 'Add to calendar',
+        downloadIcs: 'Download .ics file',
+        icsFilename: 'mentorship-{id}.ics',
+        openGroup: 'Open group',
+        cancel: 'Cancel mentorship',
+        confirmCancel: {
+            occurrence: 'Cancel <strong>{title}</strong>? Group members will see the mentorship as cancelled.',
+            series: 'Cancel all upcoming sessions of <strong>{title}</strong>? Group members will see the sessions as cancelled.'
+        },
+        scope: {
+            edit: 'Edit recurring mentorship',
+            cancel: 'Cancel recurring mentorship',
+            message: '<strong>{title}</strong> is part of a series. Apply to this session only, or to all upcoming sessions of the series?',
+            occurrence: 'This one only',
+            series: 'Whole series'
+        },
+        attendance: {
+            going: '{count} attending',
+            withCapacity: '{count}/{capacity} attending',
+            waitlist: '{count} on the waitlist'
+        },
+        rsvp: {
+            join: 'Attend',
+            joinWaitlist: 'Join the waitlist',
+            confirmed: 'You\'re attending',
+            confirmedShort: 'Attending',
+            cancel: 'Cancel attendance',
+            waitlisted: 'Waitlist (#{position})',
+            leaveWaitlist: 'Leave the waitlist'
+        },
+        form: {
+            createTitle: 'Schedule New Mentorship',
+            editTitle: 'Edit Mentorship',
+            editSeriesTitle: 'Edit Mentorship Series',
+            date: 'Date and Time',
+            capacity: 'Spots',
+            noLimit: 'No limit'
+        },
+        recurrence: {
+            repeat: 'Repeat weekly',
+            interval: 'Repeat every (weeks)',
+            weekdays: 'Days of the week',
+            ends: 'Ends',
+            after: 'After',
+            sessions: 'sessions',
+            on: 'On'
+        },
+        toasts: {
+            created: {
+                one: 'Mentorship scheduled!',
+                other: '{count} mentorships scheduled!'
+            },
+            updated: {
+                one: 'Mentorship updated!',
+                other: '{count} mentorships updated!'
+            },
+            cancelled: 'Mentorship cancelled.',
+            rsvpConfirmed: 'You\'re attending!',
+            rsvpCancelled: 'Attendance cancelled.',
+            waitlisted: 'This mentorship is full. You\'ve been added to the waitlist.'
+        }
+    },
+
+    materials: {
+        title: 'Materials',
+        loading: 'Loading materials...',
+        empty: 'No materials shared yet.',
+        add: 'Add Material',
+        by: 'By: {name}',
+        openLink: 'Open link',
+        preview: 'Preview',
+        previewLoading: 'Loading preview...',
+        types: {
+            pdf: 'PDF',
+            image: 'Image',
+            video: 'Video',
+            link: 'Link',
+            file: 'File'
+        },
+        download: 'Download',
+        delete: {
+            title: 'Delete material',
+            message: 'Are you sure you want to delete <strong>{title}</strong>?'
+        },
+        form: {
+            createTitle: 'Add New Material',
+            editTitle: 'Edit Material',
+            url: 'Material URL',
+            source: 'Share as',
+            link: 'Link',
+            file: 'File',
+            fileHelp: 'PDF, images, Office documents or text, up to {size}.',
+            currentFile: 'Current file: {name} ({size}). Choose another one to replace it.',
+            uploading: 'Uploading... {percent}%',
+            category: 'Category',
+            noCategory: 'No category',
+            tags: 'Tags',
+            tagsPlaceholder: 'limits, derivatives',
+            tagsHelp: 'Separate with commas, up to {max} tags.',
+            tooManyTags: 'Use at most {max} tags',
+            tagTooLong: 'Each tag can be up to {max} characters',
+            invalidUrl: 'Enter an http:// or https:// link'
+        },
+        categories: {
+            exercises: 'Problem set',
+            slides: 'Slides',
+            past_exam: 'Past exam',
+            notes: 'Notes',
+            reading: 'Reading',
+            other: 'Other'
+        },
+        filters: {
+            label: 'Filter materials',
+            search: 'Search',
+            searchPlaceholder: 'Search by title or description',
+            allCategories: 'All categories',
+            allTags: 'All tags',
+            sort: 'Sort by',
+            sorts: {
+                date: 'Newest',
+                title: 'Title (A–Z)'
+            },
+            byTag: 'Filter by tag {tag}',
+            clear: 'Clear filters',
+            empty: 'No materials match these filters.'
+        },
+        upload: {
+            required: 'Choose a file',
+            empty: 'The file is empty',
+            tooLarge: 'The file is larger than the {size} limit',
+            unsupported: 'File type not supported'
+        },
+        toasts: {
+            created: 'Material added!',
+            updated: 'Material updated!',
+            deleted: 'Material deleted.'
+        }
+    }
+};
+
+export { messages };
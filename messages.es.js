@@ -0,0 +1,428 @@
+// Spanish messages. See i18n.js.
+const messages = {
+    common: {
+        back: 'Volver',
+        backToDashboard: 'Volver al panel',
+        cancel: 'Cancelar',
+        chooseOption: 'Elige una opción',
+        close: 'Cerrar',
+        closeModal: 'Cerrar ventana',
+        confirm: 'Confirmar',
+        delete: 'Eliminar',
+        description: 'Descripción',
+        discard: 'Descartar',
+        edit: 'Editar',
+        error: 'Error',
+        loading: 'Cargando...',
+        logout: 'Salir',
+        remove: 'Quitar',
+        retry: 'Reintentar',
+        save: 'Guardar',
+        saveChanges: 'Guardar cambios',
+        title: 'Título'
+    },
+
+    titles: {
+        login: 'Iniciar sesión',
+        register: 'Crear cuenta',
+        dashboard: 'Panel',
+        group: 'Grupo',
+        groupSettings: 'Configuración del grupo',
+        search: 'Búsqueda'
+    },
+
+    errors: {
+        unexpected: 'Ocurrió un error inesperado',
+        sessionExpired: 'Tu sesión expiró. Inicia sesión de nuevo.',
+        forbidden: 'Acceso denegado.',
+        notFound: 'No encontrado.',
+        checkFields: 'Revisa los campos destacados.',
+        rateLimited: 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+        network: 'Error de conexión. Revisa tu internet.',
+        server: 'Error interno del servidor. Inténtalo más tarde.',
+        invalidResponse: 'Respuesta no válida del servidor',
+        page: 'Error al cargar la página',
+        pageNotFound: 'Página no encontrada',
+        loginPage: 'Error al cargar la página de inicio de sesión',
+        registerPage: 'Error al cargar la página de registro',
+        dashboard: 'Error al cargar el panel',
+        group: 'Error al cargar el grupo',
+        groupNotFound: 'Grupo no encontrado',
+        settings: 'Error al cargar la configuración del grupo',
+        settingsOwnerOnly: 'Solo el propietario del grupo puede acceder a la configuración',
+        groups: 'Error al cargar los grupos',
+        mentorships: 'Error al cargar las mentorías',
+        materials: 'Error al cargar los materiales',
+        members: 'Error al cargar los miembros',
+        search: 'No se pudo cargar la búsqueda'
+    },
+
+    validation: {
+        required: '{field} es obligatorio',
+        email: 'Introduce un correo electrónico válido',
+        emailRequired: 'El correo electrónico es obligatorio',
+        passwordRequired: 'La contraseña es obligatoria',
+        passwordLength: 'La contraseña debe tener al menos {min} caracteres',
+        nameLength: 'El nombre debe tener al menos {min} caracteres',
+        dateTimeRequired: 'La fecha y la hora son obligatorias',
+        dateTimeInvalid: 'Fecha y hora no válidas',
+        dateTimeFuture: 'La fecha y la hora deben ser futuras'
+    },
+
+    auth: {
+        loginSubtitle: 'Inicia sesión para continuar',
+        registerSubtitle: 'Crea tu cuenta para empezar',
+        noAccount: '¿No tienes una cuenta?',
+        haveAccount: '¿Ya tienes una cuenta?',
+        loginLink: 'Iniciar sesión',
+        name: 'Nombre completo',
+        namePlaceholder: 'Tu nombre completo',
+        email: 'Correo electrónico',
+        emailPlaceholder: 'tu.correo@ejemplo.com',
+        password: 'Contraseña',
+        passwordPlaceholder: 'Escribe tu contraseña',
+        newPasswordPlaceholder: 'Mínimo 6 caracteres',
+        login: 'Entrar',
+        loggingIn: 'Entrando...',
+        register: 'Crear cuenta',
+        registering: 'Creando...',
+        loginSuccess: '¡Sesión iniciada!',
+        registerSuccess: '¡Cuenta creada!',
+        logoutSuccess: 'Sesión cerrada'
+    },
+
+    dashboard: {
+        title: 'Panel',
+        greeting: '¡Hola, {name}!',
+        defaultUser: 'Usuario'
+    },
+
+    preferences: {
+        title: 'Preferencias',
+        language: 'Idioma',
+        timezone: 'Zona horaria',
+        deviceZone: 'Tu dispositivo está en {zone}.',
+        timezoneHelp: 'Los horarios de las mentorías se muestran en esta zona y las nuevas se programan en ella.',
+        saved: '¡Preferencias guardadas!'
+    },
+
+    queue: {
+        pendingChanges: 'Cambios pendientes',
+        offline: 'Sin conexión',
+        queued: 'Sin conexión. {label} se enviará cuando vuelva la conexión.',
+        status: {
+            pending: 'Pendiente',
+            sending: 'Enviando...',
+            failed: 'Falló'
+        },
+        labels: {
+            default: 'El cambio',
+            mentorship: 'Mentoría "{title}"',
+            material: 'Material "{title}"',
+            message: 'Mensaje'
+        }
+    },
+
+    groups: {
+        mine: 'Mis grupos',
+        loading: 'Cargando grupos...',
+        loadingOne: 'Cargando grupo...',
+        emptyTitle: 'No se encontraron grupos',
+        emptyText: 'Crea un grupo nuevo o únete a uno existente con su código.',
+        memberCount: {
+            one: '{count} miembro',
+            other: '{count} miembros'
+        },
+        joinCode: 'Código: {code}',
+        create: 'Crear grupo',
+        createTitle: 'Crear nuevo grupo',
+        join: 'Unirse al grupo',
+        joinWithCode: 'Unirse con código',
+        leave: 'Salir del grupo',
+        leaveConfirm: '¿Seguro que quieres salir de <strong>{name}</strong>? Para volver necesitarás el código del grupo.',
+        leaveOwner: {
+            title: 'Eres el propietario de este grupo',
+            message: 'Antes de salir, transfiere la propiedad a otro miembro en la pestaña <strong>Miembros</strong> o elimina el grupo en la configuración.',
+            confirm: 'Abrir configuración'
+        },
+        form: {
+            name: 'Nombre del grupo',
+            joinCode: 'Código del grupo',
+            joinCodePlaceholder: 'Escribe el código'
+        },
+        toasts: {
+            created: '¡Grupo creado!',
+            joined: '¡Te uniste al grupo!',
+            updated: '¡Grupo actualizado!',
+            deleted: 'Grupo eliminado.',
+            left: 'Saliste de {name}.'
+        }
+    },
+
+    settings: {
+        link: 'Configuración',
+        title: 'Configuración del grupo',
+        loading: 'Cargando configuración...',
+        backToGroup: 'Volver al grupo',
+        info: 'Información',
+        joinCode: {
+            title: 'Código de acceso',
+            text: 'Comparte este código para que otras personas se unan al grupo. Genera uno nuevo si se ha filtrado; el código actual dejará de funcionar.',
+            regenerate: 'Generar nuevo código',
+            confirm: 'El código actual dejará de funcionar. Quien aún no se haya unido necesitará el nuevo código.',
+            regenerated: '¡Nuevo código generado!'
+        },
+        danger: {
+            title: 'Zona de peligro',
+            text: 'Eliminar el grupo borra todas sus mentorías, materiales y mensajes. Esta acción no se puede deshacer.',
+            delete: 'Eliminar grupo',
+            confirm: '¿Seguro que quieres eliminar <strong>{name}</strong>? Se borrarán todas las mentorías, materiales y mensajes.'
+        }
+    },
+
+    members: {
+        title: 'Miembros',
+        loading: 'Cargando miembros...',
+        empty: 'No se encontraron miembros.',
+        joined: 'Se unió el {date}',
+        roleOf: 'Rol de {name}',
+        userRoles: {
+            student: 'Estudiante',
+            teacher: 'Profesor(a)'
+        },
+        groupRoles: {
+            owner: 'Propietario',
+            co_owner: 'Copropietario',
+            mentor: 'Mentor',
+            member: 'Miembro'
+        },
+        transfer: 'Transferir propiedad',
+        transferAction: 'Transferir',
+        transferConfirm: '<strong>{name}</strong> pasará a ser el propietario del grupo y tú seguirás como copropietario. ¿Continuar?',
+        remove: {
+            title: 'Quitar miembro',
+            message: '¿Quitar a <strong>{name}</strong> del grupo?'
+        },
+        toasts: {
+            roleUpdated: '¡Rol actualizado!',
+            removed: 'Miembro quitado.',
+            transferred: 'Propiedad del grupo transferida.'
+        }
+    },
+
+    search: {
+        label: 'Buscar en todos los grupos',
+        placeholder: 'Buscar...',
+        title: 'Búsqueda',
+        heading: 'Resultados para "{query}"',
+        minLength: 'Escribe al menos {min} caracteres para buscar.',
+        searching: 'Buscando...',
+        empty: 'No se encontró nada para "{query}".',
+        showing: 'Mostrando {shown} de {total}',
+        inGroup: 'en {name}',
+        mentorshipNotFound: 'La mentoría ya no existe.',
+        messageNotFound: 'No se encontró el mensaje en el historial reciente.',
+        types: {
+            groups: 'Grupos',
+            materials: 'Materiales',
+            mentorships: 'Mentorías',
+            messages: 'Mensajes'
+        }
+    },
+
+    calendar: {
+        views: {
+            list: 'Lista',
+            month: 'Mes',
+            week: 'Semana'
+        },
+        viewsLabel: 'Vista',
+        previous: 'Anterior',
+        next: 'Siguiente',
+        today: 'Hoy'
+    },
+
+    calendarFeed: {
+        title: 'Suscribirse al calendario',
+        intro: 'Suscríbete a esta dirección en Google Calendar, Outlook o Thunderbird para ver las mentorías de todos tus grupos. Los cambios y cancelaciones se actualizan automáticamente.',
+        url: 'Dirección del calendario',
+        private: 'Esta dirección es personal: quien tenga el enlace puede ver tus mentorías. Si se filtra, genera una nueva.',
+        openApp: 'Abrir en la aplicación',
+        copy: 'Copiar',
+        copied: '¡Dirección copiada!',
+        copyManually: 'Copia la dirección seleccionada.',
+        reset: 'Generar nueva dirección',
+        resetConfirm: 'La dirección actual dejará de funcionar y los calendarios suscritos dejarán de actualizarse.',
+        resetDone: 'Nueva dirección generada. Actualiza tus suscripciones.'
+    },
+
+    chat: {
+        title: 'Chat',
+        loading: 'Cargando mensajes...',
+        loadOlder: 'Cargar mensajes anteriores',
+        placeholder: 'Escribe tu mensaje...',
+        send: 'Enviar',
+        status: {
+            sending: 'Enviando...',
+            queued: 'Esperando conexión',
+            failed: 'Error al enviar'
+        }
+    },
+
+    mentorships: {
+        title: 'Mentorías',
+        mine: 'Mis mentorías',
+        loading: 'Cargando mentorías...',
+        empty: 'Aún no hay mentorías programadas.',
+        noneUpcoming: 'No hay mentorías en los próximos {days} días.',
+        schedule: 'Programar mentoría',
+        upcoming: 'Próximamente',
+        cancelled: 'Cancelada',
+        recurring: 'Sesión recurrente',
+        mentor: 'Mentor: {name}',
+        group: 'Grupo: {name}',
+        mentorTime: '{time} en la zona horaria del mentor',
+        addToCalendar: 'Añadir al calendario',
+        downloadIcs: 'Descargar archivo .ics',
+        icsFilename: 'mentoria-{id}.ics',
+        openGroup: 'Abrir grupo',
+        cancel: 'Cancelar mentoría',
+        confirmCancel: {
+            occurrence: '¿Cancelar <strong>{title}</strong>? Los miembros del grupo verán la mentoría como cancelada.',
+            series: '¿Cancelar todas las próximas sesiones de <strong>{title}</strong>? Los miembros del grupo verán las sesiones como canceladas.'
+        },
+        scope: {
+            edit: 'Editar mentoría recurrente',
+            cancel: 'Cancelar mentoría recurrente',
+            message: '<strong>{title}</strong> forma parte de una serie. ¿Aplicar solo a esta sesión o a todas las próximas sesiones de la serie?',
+            occurrence: 'Solo esta',
+            series: 'Toda la serie'
+        },
+        attendance: {
+            going: {
+                one: '{count} confirmado',
+                other: '{count} confirmados'
+            },
+            withCapacity: '{count}/{capacity} confirmados',
+            waitlist: '{count} en lista de espera'
+        },
+        rsvp: {
+            join: 'Asistir',
+            joinWaitlist: 'Unirse a la lista de espera',
+            confirmed: 'Asistencia confirmada',
+            confirmedShort: 'Confirmada',
+            cancel: 'Cancelar asistencia',
+            waitlisted: 'Lista de espera ({position}.º)',
+            leaveWaitlist: 'Salir de la lista'
+        },
+        form: {
+            createTitle: 'Programar nueva mentoría',
+            editTitle: 'Editar mentoría',
+            editSeriesTitle: 'Editar serie de mentorías',
+            date: 'Fecha y hora',
+            capacity: 'Plazas',
+            noLimit: 'Sin límite'
+        },
+        recurrence: {
+            repeat: 'Repetir cada semana',
+            interval: 'Repetir cada (semanas)',
+            weekdays: 'Días de la semana',
+            ends: 'Termina',
+            after: 'Después de',
+            sessions: 'sesiones',
+            on: 'El'
+        },
+        toasts: {
+            created: {
+                one: '¡Mentoría programada!',
+                other: '¡{count} mentorías programadas!'
+            },
+            updated: {
+                one: '¡Mentoría actualizada!',
+                other: '¡{count} mentorías actualizadas!'
+            },
+            cancelled: 'Mentoría cancelada.',
+            rsvpConfirmed: '¡Asistencia confirmada!',
+            rsvpCancelled: 'Asistencia cancelada.',
+            waitlisted: 'La mentoría está llena. Entraste en la lista de espera.'
+        }
+    },
+
+    materials: {
+        title: 'Materiales',
+        loading: 'Cargando materiales...',
+        empty: 'Aún no se han compartido materiales.',
+        add: 'Añadir material',
+        by: 'Por: {name}',
+        openLink: 'Abrir enlace',
+        preview: 'Vista previa',
+        previewLoading: 'Cargando vista previa...',
+        types: {
+            pdf: 'PDF',
+            image: 'Imagen',
+            video: 'Vídeo',
+            link: 'Enlace',
+            file: 'Archivo'
+        },
+        download: 'Descargar',
+        delete: {
+            title: 'Eliminar material',
+            message: '¿Seguro que quieres eliminar <strong>{title}</strong>?'
+        },
+        form: {
+            createTitle: 'Añadir nuevo material',
+            editTitle: 'Editar material',
+            url: 'URL del material',
+            source: 'Compartir como',
+            link: 'Enlace',
+            file: 'Archivo',
+            fileHelp: 'PDF, imágenes, documentos de Office o texto, hasta {size}.',
+            currentFile: 'Archivo actual: {name} ({size}). Elige otro para reemplazarlo.',
+            uploading: 'Subiendo... {percent}%',
+            category: 'Categoría',
+            noCategory: 'Sin categoría',
+            tags: 'Etiquetas',
+            tagsPlaceholder: 'límites, derivadas',
+            tagsHelp: 'Sepáralas con comas, hasta {max} etiquetas.',
+            tooManyTags: 'Usa como máximo {max} etiquetas',
+            tagTooLong: 'Cada etiqueta puede tener hasta {max} caracteres',
+            invalidUrl: 'Ingresa un enlace http:// o https://'
+        },
+        categories: {
+            exercises: 'Lista de ejercicios',
+            slides: 'Diapositivas',
+            past_exam: 'Examen anterior',
+            notes: 'Resumen',
+            reading: 'Lectura',
+            other: 'Otro'
+        },
+        filters: {
+            label: 'Filtrar materiales',
+            search: 'Buscar',
+            searchPlaceholder: 'Buscar por título o descripción',
+            allCategories: 'Todas las categorías',
+            allTags: 'Todas las etiquetas',
+            sort: 'Ordenar por',
+            sorts: {
+                date: 'Más recientes',
+                title: 'Título (A–Z)'
+            },
+            byTag: 'Filtrar por la etiqueta {tag}',
+            clear: 'Borrar filtros',
+            empty: 'Ningún material coincide con estos filtros.'
+        },
+        upload: {
+            required: 'Selecciona un archivo',
+            empty: 'El archivo está vacío',
+            tooLarge: 'El archivo supera el límite de {size}',
+            unsupported: 'Tipo de archivo no admitido'
+        },
+        toasts: {
+            created: '¡Material añadido!',
+            updated: '¡Material actualizado!',
+            deleted: 'Material eliminado.'
+        }
+    }
+};
+
+export { messages };
@@ -0,0 +1,431 @@
+// Portuguese (Brazil) messages, the source catalog. Other languages fall
+// back to these for anything they don't translate. See i18n.js.
+const messages = {
+    common: {
+        back: 'Voltar',
+        backToDashboard: 'Voltar ao Dashboard',
+        cancel: 'Cancelar',
+        chooseOption: 'Escolha uma opção',
+        close: 'Fechar',
+        closeModal: 'Fechar modal',
+        confirm: 'Confirmar',
+        delete: 'Excluir',
+        description: 'Descrição',
+        discard: 'Descartar',
+        edit: 'Editar',
+        error: 'Erro',
+        loading: 'Carregando...',
+        logout: 'Sair',
+        remove: 'Remover',
+        retry: 'Tentar novamente',
+        save: 'Salvar',
+        saveChanges: 'Salvar alterações',
+        title: 'Título'
+    },
+
+    titles: {
+        login: 'Login',
+        register: 'Criar Conta',
+        dashboard: 'Dashboard',
+        group: 'Grupo',
+        groupSettings: 'Configurações do Grupo',
+        search: 'Busca'
+    },
+
+    errors: {
+        unexpected: 'Ocorreu um erro inesperado',
+        sessionExpired: 'Sessão expirada. Faça login novamente.',
+        forbidden: 'Acesso negado.',
+        notFound: 'Recurso não encontrado.',
+        checkFields: 'Verifique os campos destacados.',
+        rateLimited: 'Muitas requisições. Aguarde um momento e tente novamente.',
+        network: 'Erro de conexão. Verifique sua internet.',
+        server: 'Erro interno do servidor. Tente novamente mais tarde.',
+        invalidResponse: 'Resposta inválida do servidor',
+        page: 'Erro ao carregar a página',
+        pageNotFound: 'Página não encontrada',
+        loginPage: 'Erro ao carregar página de login',
+        registerPage: 'Erro ao carregar página de registro',
+        dashboard: 'Erro ao carregar dashboard',
+        group: 'Erro ao carregar grupo',
+        groupNotFound: 'Grupo não encontrado',
+        settings: 'Erro ao carregar configurações do grupo',
+        settingsOwnerOnly: 'Apenas o dono do grupo pode acessar as configurações',
+        groups: 'Erro ao carregar grupos',
+        mentorships: 'Erro ao carregar mentorias',
+        materials: 'Erro ao carregar materiais',
+        members: 'Erro ao carregar membros',
+        search: 'Não foi possível carregar a busca'
+    },
+
+    validation: {
+        required: '{field} é obrigatório',
+        email: 'Digite um e-mail válido',
+        emailRequired: 'E-mail é obrigatório',
+        passwordRequired: 'Senha é obrigatória',
+        passwordLength: 'Senha deve ter pelo menos {min} caracteres',
+        nameLength: 'Nome deve ter pelo menos {min} caracteres',
+        dateTimeRequired: 'Data e hora são obrigatórias',
+        dateTimeInvalid: 'Data e hora inválidas',
+        dateTimeFuture: 'Data e hora devem ser no futuro'
+    },
+
+    auth: {
+        loginSubtitle: 'Entre em sua conta para continuar',
+        registerSubtitle: 'Crie sua conta para começar',
+        noAccount: 'Não tem uma conta?',
+        haveAccount: 'Já tem uma conta?',
+        loginLink: 'Fazer login',
+        name: 'Nome completo',
+        namePlaceholder: 'Seu nome completo',
+        email: 'E-mail',
+        emailPlaceholder: 'seu.email@exemplo.com',
+        password: 'Senha',
+        passwordPlaceholder: 'Digite sua senha',
+        newPasswordPlaceholder: 'Mínimo 6 caracteres',
+        login: 'Entrar',
+        loggingIn: 'Entrando...',
+        register: 'Criar conta',
+        registering: 'Criando...',
+        loginSuccess: 'Login realizado com sucesso!',
+        registerSuccess: 'Conta criada com sucesso!',
+        logoutSuccess: 'Logout realizado com sucesso'
+    },
+
+    dashboard: {
+        title: 'Dashboard',
+        greeting: 'Olá, {name}!',
+        defaultUser: 'Usuário'
+    },
+
+    preferences: {
+        title: 'Preferências',
+        language: 'Idioma',
+        timezone: 'Fuso horário',
+        deviceZone: 'Seu dispositivo está em {zone}.',
+        timezoneHelp: 'Os horários das mentorias são exibidos neste fuso e as novas são agendadas nele.',
+        saved: 'Preferências salvas!'
+    },
+
+    queue: {
+        pendingChanges: 'Alterações pendentes',
+        offline: 'Sem conexão',
+        queued: 'Sem conexão. {label} será enviado(a) quando a conexão voltar.',
+        status: {
+            pending: 'Pendente',
+            sending: 'Enviando...',
+            failed: 'Falhou'
+        },
+        labels: {
+            default: 'A alteração',
+            mentorship: 'Mentoria "{title}"',
+            material: 'Material "{title}"',
+            message: 'Mensagem'
+        }
+    },
+
+    groups: {
+        mine: 'Meus Grupos',
+        loading: 'Carregando grupos...',
+        loadingOne: 'Carregando grupo...',
+        emptyTitle: 'Nenhum grupo encontrado',
+        emptyText: 'Crie um novo grupo ou entre em um existente usando o código.',
+        memberCount: {
+            zero: '{count} membros',
+            one: '{count} membro',
+            other: '{count} membros'
+        },
+        joinCode: 'Código: {code}',
+        create: 'Criar Grupo',
+        createTitle: 'Criar Novo Grupo',
+        join: 'Entrar no Grupo',
+        joinWithCode: 'Entrar com Código',
+        leave: 'Sair do grupo',
+        leaveConfirm: 'Tem certeza que deseja sair de <strong>{name}</strong>? Para voltar, você precisará do código do grupo.',
+        leaveOwner: {
+            title: 'Você é o dono deste grupo',
+            message: 'Antes de sair, transfira a posse para outro membro na aba <strong>Membros</strong> ou exclua o grupo nas configurações.',
+            confirm: 'Abrir configurações'
+        },
+        form: {
+            name: 'Nome do Grupo',
+            joinCode: 'Código do Grupo',
+            joinCodePlaceholder: 'Digite o código'
+        },
+        toasts: {
+            created: 'Grupo criado com sucesso!',
+            joined: 'Entrou no grupo com sucesso!',
+            updated: 'Grupo atualizado com sucesso!',
+            deleted: 'Grupo excluído.',
+            left: 'Você saiu de {name}.'
+        }
+    },
+
+    settings: {
+        link: 'Configurações',
+        title: 'Configurações do Grupo',
+        loading: 'Carregando configurações...',
+        backToGroup: 'Voltar ao grupo',
+        info: 'Informações',
+        joinCode: {
+            title: 'Código de acesso',
+            text: 'Compartilhe este código para que outras pessoas entrem no grupo. Gere um novo se ele tiver vazado; o código atual deixará de funcionar.',
+            regenerate: 'Gerar novo código',
+            confirm: 'O código atual deixará de funcionar. Quem ainda não entrou precisará do novo código.',
+            regenerated: 'Novo código gerado!'
+        },
+        danger: {
+            title: 'Zona de perigo',
+            text: 'Excluir o grupo remove todas as mentorias, materiais e mensagens. Esta ação não pode ser desfeita.',
+            delete: 'Excluir grupo',
+            confirm: 'Tem certeza que deseja excluir <strong>{name}</strong>? Todas as mentorias, materiais e mensagens serão apagados.'
+        }
+    },
+
+    members: {
+        title: 'Membros',
+        loading: 'Carregando membros...',
+        empty: 'Nenhum membro encontrado.',
+        joined: 'Entrou em {date}',
+        roleOf: 'Papel de {name}',
+        userRoles: {
+            student: 'Estudante',
+            teacher: 'Professor(a)'
+        },
+        groupRoles: {
+            owner: 'Dono',
+            co_owner: 'Co-dono',
+            mentor: 'Mentor',
+            member: 'Membro'
+        },
+        transfer: 'Transferir posse',
+        transferAction: 'Transferir',
+        transferConfirm: '<strong>{name}</strong> passará a ser o dono do grupo e você continuará como co-dono. Deseja continuar?',
+        remove: {
+            title: 'Remover membro',
+            message: 'Remover <strong>{name}</strong> do grupo?'
+        },
+        toasts: {
+            roleUpdated: 'Papel atualizado!',
+            removed: 'Membro removido.',
+            transferred: 'Posse do grupo transferida.'
+        }
+    },
+
+    search: {
+        label: 'Buscar em todos os grupos',
+        placeholder: 'Buscar...',
+        title: 'Busca',
+        heading: 'Resultados para "{query}"',
+        minLength: 'Digite pelo menos {min} caracteres para buscar.',
+        searching: 'Buscando...',
+        empty: 'Nada encontrado para "{query}".',
+        showing: 'Mostrando {shown} de {total}',
+        inGroup: 'em {name}',
+        mentorshipNotFound: 'A mentoria não existe mais.',
+        messageNotFound: 'A mensagem não foi encontrada no histórico recente.',
+        types: {
+            groups: 'Grupos',
+            materials: 'Materiais',
+            mentorships: 'Mentorias',
+            messages: 'Mensagens'
+        }
+    },
+
+    calendar: {
+        views: {
+            list: 'Lista',
+            month: 'Mês',
+            week: 'Semana'
+        },
+        viewsLabel: 'Visualização',
+        previous: 'Anterior',
+        next: 'Próximo',
+        today: 'Hoje'
+    },
+
+    calendarFeed: {
+        title: 'Assinar Calendário',
+        intro: 'Assine este endereço no Google Agenda, Outlook ou Thunderbird para ver as mentorias de todos os seus grupos. Alterações e cancelamentos são atualizados automaticamente.',
+        url: 'Endereço do calendário',
+        private: 'Este endereço é pessoal: quem tiver o link vê suas mentorias. Se ele vazar, gere um novo.',
+        openApp: 'Abrir no aplicativo',
+        copy: 'Copiar',
+        copied: 'Endereço copiado!',
+        copyManually: 'Copie o endereço selecionado.',
+        reset: 'Gerar novo endereço',
+        resetConfirm: 'O endereço atual deixará de funcionar e os calendários que o assinam pararão de atualizar.',
+        resetDone: 'Novo endereço gerado. Atualize suas assinaturas.'
+    },
+
+    chat: {
+        title: 'Chat',
+        loading: 'Carregando mensagens...',
+        loadOlder: 'Carregar mensagens anteriores',
+        placeholder: 'Digite sua mensagem...',
+        send: 'Enviar',
+        status: {
+            sending: 'Enviando...',
+            queued: 'Aguardando conexão',
+            failed: 'Falha ao enviar'
+        }
+    },
+
+    mentorships: {
+        title: 'Mentorias',
+        mine: 'Minhas Mentorias',
+        loading: 'Carregando mentorias...',
+        empty: 'Nenhuma mentoria agendada ainda.',
+        noneUpcoming: 'Nenhuma mentoria nos próximos {days} dias.',
+        schedule: 'Agendar Mentoria',
+        upcoming: 'Em breve',
+        cancelled: 'Cancelada',
+        recurring: 'Sessão recorrente',
+        mentor: 'Mentor: {name}',
+        group: 'Grupo: {name}',
+        mentorTime: '{time} no fuso do mentor',
+        addToCalendar: 'Adicionar à agenda',
+        downloadIcs: 'Baixar arquivo .ics',
+        icsFilename: 'mentoria-{id}.ics',
+        openGroup: 'Abrir grupo',
+        cancel: 'Cancelar mentoria',
+        confirmCancel: {
+            occurrence: 'Cancelar <strong>{title}</strong>? Os membros do grupo verão a mentoria como cancelada.',
+            series: 'Cancelar todas as próximas sessões de <strong>{title}</strong>? Os membros do grupo verão as sessões como canceladas.'
+        },
+        scope: {
+            edit: 'Editar mentoria recorrente',
+            cancel: 'Cancelar mentoria recorrente',
+            message: '<strong>{title}</strong> faz parte de uma série. Aplicar somente a esta sessão ou a todas as próximas sessões da série?',
+            occurrence: 'Somente esta',
+            series: 'Toda a série'
+        },
+        attendance: {
+            going: {
+                zero: '{count} confirmados',
+                one: '{count} confirmado',
+                other: '{count} confirmados'
+            },
+            withCapacity: '{count}/{capacity} confirmados',
+            waitlist: '{count} na lista de espera'
+        },
+        rsvp: {
+            join: 'Participar',
+            joinWaitlist: 'Entrar na lista de espera',
+            confirmed: 'Presença confirmada',
+            confirmedShort: 'Confirmada',
+            cancel: 'Cancelar presença',
+            waitlisted: 'Lista de espera ({position}º)',
+            leaveWaitlist: 'Sair da lista'
+        },
+        form: {
+            createTitle: 'Agendar Nova Mentoria',
+            editTitle: 'Editar Mentoria',
+            editSeriesTitle: 'Editar Série de Mentorias',
+            date: 'Data e Hora',
+            capacity: 'Vagas',
+            noLimit: 'Sem limite'
+        },
+        recurrence: {
+            repeat: 'Repetir semanalmente',
+            interval: 'Repetir a cada (semanas)',
+            weekdays: 'Dias da semana',
+            ends: 'Termina',
+            after: 'Após',
+            sessions: 'sessões',
+            on: 'Em'
+        },
+        toasts: {
+            created: {
+                one: 'Mentoria agendada com sucesso!',
+                other: '{count} mentorias agendadas!'
+            },
+            updated: {
+                one: 'Mentoria atualizada!',
+                other: '{count} mentorias atualizadas!'
+            },
+            cancelled: 'Mentoria cancelada.',
+            rsvpConfirmed: 'Presença confirmada!',
+            rsvpCancelled: 'Presença cancelada.',
+            waitlisted: 'Mentoria lotada. Você entrou na lista de espera.'
+        }
+    },
+
+    materials: {
+        title: 'Materiais',
+        loading: 'Carregando materiais...',
+        empty: 'Nenhum material compartilhado ainda.',
+        add: 'Adicionar Material',
+        by: 'Por: {name}',
+        openLink: 'Abrir link',
+        preview: 'Visualizar',
+        previewLoading: 'Carregando visualização...',
+        types: {
+            pdf: 'PDF',
+            image: 'Imagem',
+            video: 'Vídeo',
+            link: 'Link',
+            file: 'Arquivo'
+        },
+        download: 'Baixar',
+        delete: {
+            title: 'Excluir material',
+            message: 'Tem certeza que deseja excluir <strong>{title}</strong>?'
+        },
+        form: {
+            createTitle: 'Adicionar Novo Material',
+            editTitle: 'Editar Material',
+            url: 'URL do Material',
+            source: 'Compartilhar',
+            link: 'Link',
+            file: 'Arquivo',
+            fileHelp: 'PDF, imagens, documentos do Office ou texto, até {size}.',
+            currentFile: 'Arquivo atual: {name} ({size}). Escolha outro para substituí-lo.',
+            uploading: 'Enviando... {percent}%',
+            category: 'Categoria',
+            noCategory: 'Sem categoria',
+            tags: 'Tags',
+            tagsPlaceholder: 'limites, derivadas',
+            tagsHelp: 'Separe por vírgulas, até {max} tags.',
+            tooManyTags: 'Use no máximo {max} tags',
+            tagTooLong: 'Cada tag pode ter até {max} caracteres',
+            invalidUrl: 'Informe um link http:// ou https://'
+        },
+        categories: {
+            exercises: 'Lista de exercícios',
+            slides: 'Slides',
+            past_exam: 'Prova anterior',
+            notes: 'Resumo',
+            reading: 'Leitura',
+            other: 'Outro'
+        },
+        filters: {
+            label: 'Filtrar materiais',
+            search: 'Buscar',
+            searchPlaceholder: 'Buscar por título ou descrição',
+            allCategories: 'Todas as categorias',
+            allTags: 'Todas as tags',
+            sort: 'Ordenar por',
+            sorts: {
+                date: 'Mais recentes',
+                title: 'Título (A–Z)'
+            },
+            byTag: 'Filtrar pela tag {tag}',
+            clear: 'Limpar filtros',
+            empty: 'Nenhum material encontrado com esses filtros.'
+        },
+        upload: {
+            required: 'Selecione um arquivo',
+            empty: 'O arquivo está vazio',
+            tooLarge: 'O arquivo excede o limite de {size}',
+            unsupported: 'Tipo de arquivo não suportado'
+        },
+        toasts: {
+            created: 'Material adicionado com sucesso!',
+            updated: 'Material atualizado!',
+            deleted: 'Material excluído.'
+        }
+    }
+};
+
+export { messages };
@@ -0,0 +1,1249 @@
+// In-memory Mock Backend
+// Implements the REST API in the browser so the client can run without a
+// server (demos, UI prototyping, testing Router flows). Plug it into
+// ApiClient as its transport; on localhost, `?mock=1` enables it (see
+// api.js).
+import { buildCalendar } from './ics.js';
+import { isValidTimeZone, getZonedParts, zonedTimeToUtc } from './timezone.js';
+import { MAX_UPLOAD_SIZE, getUploadType } from './files.js';
+import { MATERIAL_CATEGORIES, MAX_TAGS, MAX_TAG_LENGTH, isWebUrl, parseTags } from './materials.js';
+import { MIN_QUERY_LENGTH, getQueryWords, matchesWords } from './search.js';
+
+const TOKEN_TTL = 2 * 60 * 60 * 1000; // Same 2-hour expiry as the real server
+const MAX_OCCURRENCES = 100; // Upper bound on sessions created by one recurrence rule
+const DEFAULT_TIME_ZONE = 'America/Sao_Paulo';
+const LOCALES = ['pt-BR', 'en', 'es'];
+
+class MockHttpError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Handler result with an explicit status (otherwise POST → 201, else 200).
+// With a contentType, `data` is sent as the raw body instead of JSON,
+// along with any extra `headers`.
+class MockResult {
+    constructor(status, data, contentType = null, headers = {}) {
+        this.status = status;
+        this.data = data;
+        this.contentType = contentType;
+        this.headers = headers;
+    }
+}
+
+function base64UrlEncode(value) {
+    return btoa(unescape(encodeURIComponent(JSON.stringify(value))))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    return JSON.parse(decodeURIComponent(escape(atob(value.replace(/-/g, '+').replace(/_/g, '/')))));
+}
+
+// Default seed: two users (password "123456") sharing one group
+function defaultFixtures() {
+    const now = Date.now();
+    const hours = (n) => new Date(now + n * 60 * 60 * 1000).toISOString();
+
+    return {
+        users: [
+            { id: 1, name: 'Ana Souza', email: 'ana@educonnect.dev', password: '123456', role: 'teacher', timezone: 'America/Sao_Paulo', locale: 'pt-BR', created_at: hours(-720) },
+            { id: 2, name: 'Bruno Lima', email: 'bruno@educonnect.dev', password: '123456', role: 'student', timezone: 'America/Manaus', locale: 'pt-BR', created_at: hours(-700) }
+        ],
+        groups: [
+            { id: 1, name: 'Cálculo I', description: 'Grupo de estudos de Cálculo Diferencial e Integral', join_code: 'CALC01', owner_id: 1, created_at: hours(-600) },
+            { id: 2, name: 'Física Experimental', description: 'Relatórios e listas de laboratório', join_code: 'FIS202', owner_id: 2, created_at: hours(-500) }
+        ],
+        memberships: [
+            { group_id: 1, user_id: 1, group_role: 'owner', joined_at: hours(-600) },
+            { group_id: 1, user_id: 2, group_role: 'member', joined_at: hours(-590) },
+            { group_id: 2, user_id: 2, group_role: 'owner', joined_at: hours(-500) }
+        ],
+        mentorships: [
+            { id: 1, group_id: 1, title: 'Revisão de limites', description: 'Exercícios da lista 2', scheduled_date: hours(26), capacity: 10, timezone: 'America/Sao_Paulo', status: 'scheduled', created_by: 1, created_at: hours(-48) },
+            { id: 2, group_id: 1, title: 'Derivadas: regra da cadeia', description: '', scheduled_date: hours(74), capacity: null, timezone: 'America/Sao_Paulo', status: 'scheduled', created_by: 1, created_at: hours(-24) }
+        ],
+        rsvps: [
+            { id: 1, mentorship_id: 1, user_id: 2, status: 'going', created_at: hours(-20) }
+        ],
+        materials: [
+            { id: 1, group_id: 1, title: 'Lista 2 - Limites', description: 'Lista de exercícios com gabarito', url: 'https://example.com/lista-2.pdf', file_name: null, file_size: null, mime_type: null, category: 'exercises', tags: ['limites', 'cálculo'], uploaded_by: 1, created_at: hours(-72) }
+        ],
+        messages: [
+            { id: 1, group_id: 1, user_id: 1, content: 'Bem-vindos ao grupo de Cálculo!', created_at: hours(-100) },
+            { id: 2, group_id: 1, user_id: 2, content: 'Obrigado, professora!', created_at: hours(-99) }
+        ]
+    };
+}
+
+class MockBackend {
+    constructor(fixtures = defaultFixtures(), options = {}) {
+        this.latency = options.latency ?? 150;
+        this.routes = [];
+        this.seed(fixtures);
+        this.setupRoutes();
+
+        // ApiClient transport with the same signature as fetch
+        this.transport = (url, config) => this.handle(url, config);
+    }
+
+    // Replace all data with the given fixtures
+    seed(fixtures = {}) {
+        const clone = (list) => (list || []).map(item => ({ ...item }));
+
+        this.db = {
+            users: clone(fixtures.users),
+            groups: clone(fixtures.groups),
+            memberships: clone(fixtures.memberships),
+            mentorships: clone(fixtures.mentorships),
+            rsvps: clone(fixtures.rsvps),
+            materials: clone(fixtures.materials),
+            messages: clone(fixtures.messages)
+        };
+        // Uploaded material files by material id; kept in memory
+        this.files = new Map();
+
+        // Continue ids after the highest seeded one
+        this.nextIds = {};
+        Object.entries(this.db).forEach(([table, rows]) => {
+            this.nextIds[table] = rows.reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+        });
+    }
+
+    setupRoutes() {
+        // Auth
+        this.route('POST', '/api/auth/login', this.login, { auth: false });
+        this.route('POST', '/api/auth/register', this.register, { auth: false });
+        this.route('POST', '/api/auth/refresh', this.refresh, { auth: false });
+        this.route('GET', '/api/auth/profile', this.getProfile);
+        this.route('PUT', '/api/auth/profile', this.updateProfile);
+
+        // Groups
+        this.route('GET', '/api/groups', this.getGroups);
+        this.route('POST', '/api/groups', this.createGroup);
+        this.route('POST', '/api/groups/join', this.joinGroup);
+        this.route('GET', '/api/groups/:id', this.getGroup);
+        this.route('PUT', '/api/groups/:id', this.updateGroup);
+        this.route('DELETE', '/api/groups/:id', this.deleteGroup);
+        this.route('POST', '/api/groups/:id/join-code', this.regenerateJoinCode);
+        this.route('DELETE', '/api/groups/:id/leave', this.leaveGroup);
+
+        // Members
+        this.route('GET', '/api/groups/:id/members', this.getMembers);
+        this.route('PUT', '/api/groups/:id/members/:userId', this.updateMemberRole);
+        this.route('DELETE', '/api/groups/:id/members/:userId', this.removeMember);
+        this.route('POST', '/api/groups/:id/transfer', this.transferOwnership);
+
+        // Mentorships
+        this.route('GET', '/api/mentorships', this.getUserMentorships);
+        this.route('GET', '/api/groups/:id/mentorships', this.getMentorships);
+        this.route('POST', '/api/groups/:id/mentorships', this.createMentorship);
+        this.route('PUT', '/api/mentorships/:id', this.updateMentorship);
+        this.route('DELETE', '/api/mentorships/:id', this.deleteMentorship);
+        this.route('POST', '/api/mentorships/:id/rsvp', this.createRsvp);
+        this.route('DELETE', '/api/mentorships/:id/rsvp', this.deleteRsvp);
+
+        // Materials
+        this.route('GET', '/api/groups/:id/materials', this.getMaterials);
+        this.route('POST', '/api/groups/:id/materials', this.createMaterial);
+        this.route('PUT', '/api/materials/:id', this.updateMaterial);
+        this.route('GET', '/api/materials/:id/file', this.getMaterialFile);
+        this.route('DELETE', '/api/materials/:id', this.deleteMaterial);
+
+        // Messages
+        this.route('GET', '/api/groups/:id/messages', this.getMessages);
+        this.route('POST', '/api/groups/:id/messages', this.sendMessage);
+
+        // Calendar feed
+        this.route('GET', '/api/calendar/feed', this.getCalendarFeed);
+        this.route('POST', '/api/calendar/feed', this.resetCalendarFeed);
+        this.route('GET', '/api/calendar/feed/:token', this.getCalendarFeedEvents, { auth: false });
+
+        // Search
+        this.route('GET', '/api/search', this.search);
+
+        // Health
+        this.route('GET', '/api/health', () => ({ status: 'ok', mock: true }), { auth: false });
+    }
+
+    route(method, pattern, handler, options = {}) {
+        const paramNames = [];
+        const regex = new RegExp('^' + pattern.replace(/:\w+/g, (match) => {
+            paramNames.push(match.slice(1));
+            return '([^/]+)';
+        }) + '$');
+
+        this.routes.push({ method, regex, paramNames, handler: handler.bind(this), auth: options.auth !== false });
+    }
+
+    // Request handling
+    async handle(url, config = {}) {
+        const { pathname, searchParams } = new URL(url, window.location.origin);
+        const method = (config.method || 'GET').toUpperCase();
+
+        // Uploads arrive all at once; report them as sent after the delay
+        const uploadSize = config.onUploadProgress && config.body instanceof FormData
+            ? [...config.body.values()].reduce((size, value) => size + (value instanceof Blob ? value.size : 0), 0)
+            : null;
+
+        if (this.latency > 0) {
+            await this.delay(this.latency, config.signal);
+        }
+        if (uploadSize !== null) {
+            config.onUploadProgress({ loaded: uploadSize, total: uploadSize });
+        }
+
+        let status = 200;
+        let payload;
+
+        try {
+            const { route, params } = this.match(method, pathname);
+            const request = {
+                params,
+                query: Object.fromEntries(searchParams.entries()),
+                body: this.parseBody(config.body),
+                headers: config.headers || {},
+                user: null
+            };
+
+            if (route.auth) {
+                request.user = this.authenticate(request.headers);
+            }
+
+            const result = await route.handler(request);
+            if (result instanceof MockResult && result.contentType) {
+                return new Response(result.data, {
+                    status: result.status,
+                    headers: { ...result.headers, 'Content-Type': result.contentType }
+                });
+            } else if (result instanceof MockResult) {
+                status = result.status;
+                payload = { success: true, data: result.data };
+            } else {
+                status = method === 'POST' ? 201 : 200;
+                payload = { success: true, data: result };
+            }
+        } catch (error) {
+            if (!(error instanceof MockHttpError)) {
+                console.error('Mock backend error:', error);
+                error = new MockHttpError(500, 'Erro interno do servidor');
+            }
+
+            status = error.status;
+            payload = {
+                success: false,
+                error: {
+                    message: error.message,
+                    ...(error.details ? { details: error.details } : {})
+                }
+            };
+        }
+
+        return new Response(JSON.stringify(payload), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    match(method, pathname) {
+        let pathMatched = false;
+
+        for (const route of this.routes) {
+            const match = pathname.match(route.regex);
+            if (!match) continue;
+
+            pathMatched = true;
+            if (route.method !== method) continue;
+
+            const params = {};
+            route.paramNames.forEach((name, index) => {
+                params[name] = decodeURIComponent(match[index + 1]);
+            });
+            return { route, params };
+        }
+
+        throw new MockHttpError(pathMatched ? 405 : 404, pathMatched ? 'Método não permitido' : 'Rota não encontrada');
+    }
+
+    parseBody(body) {
+        // Multipart fields become properties; files stay File objects
+        if (body instanceof FormData) return Object.fromEntries(body.entries());
+        if (!body || typeof body !== 'string') return body || {};
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new MockHttpError(400, 'JSON inválido');
+        }
+    }
+
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    // Auth helpers
+    issueTokens(user) {
+        const header = base64UrlEncode({ alg: 'none', typ: 'JWT' });
+        const payload = base64UrlEncode({ sub: user.id, exp: Math.floor((Date.now() + TOKEN_TTL) / 1000) });
+
+        return {
+            token: `${header}.${payload}.mock`,
+            refreshToken: `mock-refresh-${user.id}-${Date.now()}`
+        };
+    }
+
+    authenticate(headers) {
+        const authorization = headers['Authorization'] || headers['authorization'] || '';
+        const token = authorization.replace(/^Bearer /, '');
+
+        try {
+            const payload = base64UrlDecode(token.split('.')[1]);
+            const user = this.db.users.find(u => u.id === payload.sub);
+            if (user && payload.exp * 1000 > Date.now()) {
+                return user;
+            }
+        } catch (error) {
+            // Fall through to 401
+        }
+
+        throw new MockHttpError(401, 'Token inválido ou expirado');
+    }
+
+    publicUser(user) {
+        const { password, calendar_token, ...rest } = user;
+        return rest;
+    }
+
+    requireFields(body, fields) {
+        const details = {};
+        fields.forEach(field => {
+            if (!body[field] || !String(body[field]).trim()) {
+                details[field] = 'Campo obrigatório';
+            }
+        });
+
+        if (Object.keys(details).length > 0) {
+            throw new MockHttpError(400, 'Dados inválidos', details);
+        }
+    }
+
+    insert(table, row) {
+        const record = { id: this.nextIds[table]++, created_at: new Date().toISOString(), ...row };
+        this.db[table].push(record);
+        return record;
+    }
+
+    // Row already created by this user with the request's `client_id`, for
+    // writes replayed from the offline queue
+    findReplayed(table, body, user, userField) {
+        if (!body.client_id) return null;
+        return this.db[table].find(row => row.client_id === String(body.client_id) && row[userField] === user.id) || null;
+    }
+
+    // Lookup helpers
+    findUser(id) {
+        return this.db.users.find(u => u.id === id);
+    }
+
+    findGroup(id) {
+        const group = this.db.groups.find(g => g.id === Number(id));
+        if (!group) throw new MockHttpError(404, 'Grupo não encontrado');
+        return group;
+    }
+
+    findRecord(table, id, message) {
+        const record = this.db[table].find(r => r.id === Number(id));
+        if (!record) throw new MockHttpError(404, message);
+        return record;
+    }
+
+    getMembership(groupId, userId) {
+        return this.db.memberships.find(m => m.group_id === Number(groupId) && m.user_id === userId) || null;
+    }
+
+    requireOwner(groupId, user) {
+        const group = this.requireMember(groupId, user);
+        if (group.owner_id !== user.id) {
+            throw new MockHttpError(403, 'Apenas o dono do grupo pode fazer isso');
+        }
+        return group;
+    }
+
+    generateJoinCode() {
+        let code;
+        do {
+            code = Math.random().toString(36).slice(2, 8).toUpperCase();
+        } while (this.db.groups.some(g => g.join_code === code));
+        return code;
+    }
+
+    requireMember(groupId, user) {
+        const group = this.findGroup(groupId);
+        if (!this.getMembership(group.id, user.id)) {
+            throw new MockHttpError(403, 'Você não é membro deste grupo');
+        }
+        return group;
+    }
+
+    serializeGroup(group) {
+        return {
+            ...group,
+            member_count: this.db.memberships.filter(m => m.group_id === group.id).length
+        };
+    }
+
+    serializeMember(membership) {
+        const user = this.findUser(membership.user_id);
+        return {
+            user_id: membership.user_id,
+            name: user?.name || '',
+            email: user?.email || '',
+            role: user?.role || 'student',
+            group_role: membership.group_role,
+            joined_at: membership.joined_at
+        };
+    }
+
+    // RSVP counts, plus the requesting user's own RSVP and waitlist position
+    serializeMentorship(mentorship, user) {
+        const rsvps = this.getRsvps(mentorship.id);
+        const waitlist = rsvps.filter(r => r.status === 'waitlisted');
+        const own = rsvps.find(r => r.user_id === user?.id);
+
+        return {
+            ...mentorship,
+            mentor_name: this.findUser(mentorship.created_by)?.name || '',
+            attendee_count: rsvps.length - waitlist.length,
+            waitlist_count: waitlist.length,
+            my_rsvp: own ? own.status : null,
+            my_waitlist_position: own?.status === 'waitlisted' ? waitlist.indexOf(own) + 1 : null
+        };
+    }
+
+    serializeMaterial(material) {
+        return { ...material, author_name: this.findUser(material.uploaded_by)?.name || '' };
+    }
+
+    serializeMessage(message) {
+        return { ...message, author_name: this.findUser(message.user_id)?.name || '' };
+    }
+
+    // Auth endpoints
+    login({ body }) {
+        this.requireFields(body, ['email', 'password']);
+
+        const user = this.db.users.find(u => u.email === body.email && u.password === body.password);
+        if (!user) throw new MockHttpError(401, 'E-mail ou senha incorretos');
+
+        return new MockResult(200, { user: this.publicUser(user), ...this.issueTokens(user) });
+    }
+
+    register({ body }) {
+        this.requireFields(body, ['name', 'email', 'password']);
+
+        if (this.db.users.some(u => u.email === body.email)) {
+            throw new MockHttpError(400, 'Dados inválidos', { email: 'E-mail já cadastrado' });
+        }
+
+        const user = this.insert('users', {
+            name: body.name.trim(),
+            email: body.email,
+            password: body.password,
+            role: body.role || 'student',
+            timezone: isValidTimeZone(body.timezone) ? body.timezone : DEFAULT_TIME_ZONE,
+            locale: LOCALES.includes(body.locale) ? body.locale : LOCALES[0]
+        });
+
+        return { user: this.publicUser(user), ...this.issueTokens(user) };
+    }
+
+    refresh({ body }) {
+        const match = /^mock-refresh-(\d+)-/.exec(body.refreshToken || '');
+        const user = match && this.findUser(Number(match[1]));
+        if (!user) throw new MockHttpError(401, 'Refresh token inválido');
+
+        return new MockResult(200, this.issueTokens(user));
+    }
+
+    getProfile({ user }) {
+        return { user: this.publicUser(user) };
+    }
+
+    updateProfile({ body, user }) {
+        if (body.name !== undefined) {
+            this.requireFields(body, ['name']);
+            user.name = String(body.name).trim();
+        }
+        if (body.timezone !== undefined) {
+            if (!isValidTimeZone(body.timezone)) {
+                throw new MockHttpError(400, 'Dados inválidos', { timezone: 'Fuso horário inválido' });
+            }
+            user.timezone = body.timezone;
+        }
+        if (body.locale !== undefined) {
+            if (!LOCALES.includes(body.locale)) {
+                throw new MockHttpError(400, 'Dados inválidos', { locale: 'Idioma não suportado' });
+            }
+            user.locale = body.locale;
+        }
+
+        return { user: this.publicUser(user) };
+    }
+
+    // Group endpoints
+    getGroups({ user }) {
+        const groupIds = this.db.memberships.filter(m => m.user_id === user.id).map(m => m.group_id);
+        const groups = this.db.groups
+            .filter(g => groupIds.includes(g.id))
+            .map(g => this.serializeGroup(g));
+
+        return { groups };
+    }
+
+    getGroup({ params, user }) {
+        return { group: this.serializeGroup(this.requireMember(params.id, user)) };
+    }
+
+    createGroup({ body, user }) {
+        this.requireFields(body, ['name']);
+
+        const group = this.insert('groups', {
+            name: body.name.trim(),
+            description: body.description || '',
+            join_code: this.generateJoinCode(),
+            owner_id: user.id
+        });
+        this.db.memberships.push({ group_id: group.id, user_id: user.id, group_role: 'owner', joined_at: group.created_at });
+
+        return { group: this.serializeGroup(group) };
+    }
+
+    updateGroup({ params, body, user }) {
+        const group = this.requireOwner(params.id, user);
+        if (body.name !== undefined) {
+            this.requireFields(body, ['name']);
+            group.name = body.name.trim();
+        }
+        if (body.description !== undefined) {
+            group.description = body.description;
+        }
+
+        return { group: this.serializeGroup(group) };
+    }
+
+    deleteGroup({ params, user }) {
+        const group = this.requireOwner(params.id, user);
+        const byGroup = (row) => row.group_id !== group.id;
+
+        this.db.groups = this.db.groups.filter(g => g.id !== group.id);
+        const mentorshipIds = this.db.mentorships.filter(m => m.group_id === group.id).map(m => m.id);
+        this.db.rsvps = this.db.rsvps.filter(r => !mentorshipIds.includes(r.mentorship_id));
+        this.db.materials.filter(m => m.group_id === group.id).forEach(m => this.files.delete(m.id));
+        ['memberships', 'mentorships', 'materials', 'messages'].forEach(table => {
+            this.db[table] = this.db[table].filter(byGroup);
+        });
+
+        return {};
+    }
+
+    regenerateJoinCode({ params, user }) {
+        const group = this.requireOwner(params.id, user);
+        group.join_code = this.generateJoinCode();
+
+        return new MockResult(200, { group: this.serializeGroup(group) });
+    }
+
+    joinGroup({ body, user }) {
+        this.requireFields(body, ['joinCode']);
+
+        const group = this.db.groups.find(g => g.join_code === String(body.joinCode).trim().toUpperCase());
+        if (!group) throw new MockHttpError(404, 'Código de grupo inválido');
+        if (this.getMembership(group.id, user.id)) {
+            throw new MockHttpError(400, 'Você já é membro deste grupo', { joinCode: 'Você já é membro deste grupo' });
+        }
+
+        this.db.memberships.push({ group_id: group.id, user_id: user.id, group_role: 'member', joined_at: new Date().toISOString() });
+        return new MockResult(200, { group: this.serializeGroup(group) });
+    }
+
+    leaveGroup({ params, user }) {
+        const group = this.requireMember(params.id, user);
+        if (group.owner_id === user.id) {
+            throw new MockHttpError(400, 'O dono não pode sair do grupo');
+        }
+
+        this.db.memberships = this.db.memberships.filter(m => !(m.group_id === group.id && m.user_id === user.id));
+        return {};
+    }
+
+    // Member endpoints
+    getMembers({ params, user }) {
+        const group = this.requireMember(params.id, user);
+        const members = this.db.memberships
+            .filter(m => m.group_id === group.id)
+            .sort((a, b) => new Date(a.joined_at) - new Date(b.joined_at))
+            .map(m => this.serializeMember(m));
+
+        return { members };
+    }
+
+    findMembership(group, userId) {
+        const membership = this.getMembership(group.id, Number(userId));
+        if (!membership) throw new MockHttpError(404, 'Membro não encontrado');
+        return membership;
+    }
+
+    updateMemberRole({ params, body, user }) {
+        const group = this.requireOwner(params.id, user);
+        const membership = this.findMembership(group, params.userId);
+
+        if (!['member', 'mentor', 'co_owner'].includes(body.role)) {
+            throw new MockHttpError(400, 'Dados inválidos', { role: 'Papel inválido' });
+        }
+        if (membership.user_id === group.owner_id) {
+            throw new MockHttpError(400, 'Transfira a posse do grupo para mudar o papel do dono');
+        }
+
+        membership.group_role = body.role;
+        return { member: this.serializeMember(membership) };
+    }
+
+    removeMember({ params, user }) {
+        const group = this.requireMember(params.id, user);
+        const actor = this.getMembership(group.id, user.id);
+        const membership = this.findMembership(group, params.userId);
+
+        const allowed = actor.group_role === 'owner'
+            || (actor.group_role === 'co_owner' && !['owner', 'co_owner'].includes(membership.group_role));
+        if (!allowed || membership.user_id === user.id) {
+            throw new MockHttpError(403, 'Acesso negado');
+        }
+
+        this.db.memberships = this.db.memberships.filter(m => m !== membership);
+        return {};
+    }
+
+    transferOwnership({ params, body, user }) {
+        const group = this.requireOwner(params.id, user);
+        const membership = this.findMembership(group, body.userId);
+        if (membership.user_id === user.id) {
+            throw new MockHttpError(400, 'Você já é o dono do grupo');
+        }
+
+        // The previous owner stays on as co-owner
+        this.getMembership(group.id, user.id).group_role = 'co_owner';
+        membership.group_role = 'owner';
+        group.owner_id = membership.user_id;
+
+        return new MockResult(200, { group: this.serializeGroup(group) });
+    }
+
+    // Mentorship endpoints
+    getMentorships({ params, user }) {
+        const group = this.requireMember(params.id, user);
+        const mentorships = this.db.mentorships
+            .filter(m => m.group_id === group.id)
+            .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date))
+            .map(m => this.serializeMentorship(m, user));
+
+        return { mentorships };
+    }
+
+    // Sessions from every group the user belongs to, optionally in [from, to)
+    getUserMentorships({ query, user }) {
+        const groupIds = this.db.memberships.filter(m => m.user_id === user.id).map(m => m.group_id);
+        const from = query.from ? new Date(query.from) : null;
+        const to = query.to ? new Date(query.to) : null;
+
+        const mentorships = this.db.mentorships
+            .filter(m => groupIds.includes(m.group_id))
+            .filter(m => (!from || new Date(m.scheduled_date) >= from) && (!to || new Date(m.scheduled_date) < to))
+            .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date))
+            .map(m => ({ ...this.serializeMentorship(m, user), group_name: this.findGroup(m.group_id).name }));
+
+        return { mentorships };
+    }
+
+    createMentorship({ params, body, user }) {
+        const group = this.requireMember(params.id, user);
+        const replayed = this.findReplayed('mentorships', body, user, 'created_by');
+        if (replayed) {
+            const series = this.db.mentorships.filter(m => m.client_id === replayed.client_id && m.created_by === user.id);
+            return {
+                mentorship: this.serializeMentorship(series[0], user),
+                mentorships: series.map(m => this.serializeMentorship(m, user))
+            };
+        }
+        this.requireFields(body, ['title', 'scheduled_date']);
+
+        const timeZone = this.resolveTimeZone(body.timezone, user);
+        const start = this.parseScheduledDate(body.scheduled_date, timeZone);
+        this.validateCapacity(body.capacity, 0);
+
+        const dates = body.recurrence
+            ? this.expandRecurrence(start, body.recurrence, timeZone)
+            : [start];
+
+        const mentorships = dates.map(date => this.insert('mentorships', {
+            group_id: group.id,
+            title: body.title.trim(),
+            description: body.description || '',
+            scheduled_date: date.toISOString(),
+            timezone: timeZone,
+            capacity: body.capacity ? Number(body.capacity) : null,
+            status: 'scheduled',
+            series_id: null,
+            created_by: user.id,
+            ...(body.client_id ? { client_id: String(body.client_id) } : {})
+        }));
+
+        // Occurrences of a series point at the first one
+        if (body.recurrence) {
+            mentorships.forEach(m => { m.series_id = mentorships[0].id; });
+        }
+
+        return {
+            mentorship: this.serializeMentorship(mentorships[0], user),
+            mentorships: mentorships.map(m => this.serializeMentorship(m, user))
+        };
+    }
+
+    // `?scope=series` applies the changes to every upcoming occurrence of the
+    // series; a new date moves each of them by the same number of days, to
+    // the new time of day in the series' zone
+    updateMentorship({ params, query, body, user }) {
+        const mentorship = this.findRecord('mentorships', params.id, 'Mentoria não encontrada');
+        if (mentorship.created_by !== user.id) throw new MockHttpError(403, 'Acesso negado');
+        if (mentorship.status === 'cancelled') {
+            throw new MockHttpError(400, 'Esta mentoria foi cancelada');
+        }
+
+        if (body.status !== undefined && !['scheduled', 'cancelled'].includes(body.status)) {
+            throw new MockHttpError(400, 'Dados inválidos', { status: 'Status inválido' });
+        }
+
+        const targets = query.scope === 'series' && mentorship.series_id
+            ? this.db.mentorships.filter(m => m.series_id === mentorship.series_id
+                && m.status !== 'cancelled'
+                && (m === mentorship || new Date(m.scheduled_date) > new Date()))
+            : [mentorship];
+
+        const timeZone = body.timezone !== undefined
+            ? this.resolveTimeZone(body.timezone, user)
+            : mentorship.timezone || this.resolveTimeZone(null, user);
+        const moveTo = body.scheduled_date !== undefined
+            ? this.parseScheduledDate(body.scheduled_date, timeZone)
+            : null;
+
+        // Validate every occurrence before changing any of them
+        const changes = targets.map(target => {
+            const change = { ...body, timezone: timeZone };
+
+            if (moveTo) {
+                const date = target === mentorship
+                    ? moveTo
+                    : this.moveOccurrence(target, mentorship, moveTo, timeZone);
+                if (date <= new Date()) {
+                    throw new MockHttpError(400, 'Dados inválidos', { scheduled_date: 'A data deve ser no futuro' });
+                }
+                change.scheduled_date = date.toISOString();
+            }
+            if (body.capacity !== undefined) {
+                const attendees = this.getRsvps(target.id).filter(r => r.status === 'going').length;
+                this.validateCapacity(body.capacity, attendees);
+                change.capacity = body.capacity ? Number(body.capacity) : null;
+            }
+
+            return change;
+        });
+
+        targets.forEach((target, index) => {
+            ['title', 'description', 'scheduled_date', 'timezone', 'capacity', 'status'].forEach(field => {
+                if (changes[index][field] !== undefined) target[field] = changes[index][field];
+            });
+            target.updated_at = new Date().toISOString();
+
+            // A larger capacity makes room for people on the waitlist
+            this.promoteWaitlist(target);
+        });
+
+        return {
+            mentorship: this.serializeMentorship(mentorship, user),
+            updated_count: targets.length
+        };
+    }
+
+    deleteMentorship({ params, user }) {
+        const mentorship = this.findRecord('mentorships', params.id, 'Mentoria não encontrada');
+        if (mentorship.created_by !== user.id) throw new MockHttpError(403, 'Acesso negado');
+
+        this.db.mentorships = this.db.mentorships.filter(m => m.id !== mentorship.id);
+        this.db.rsvps = this.db.rsvps.filter(r => r.mentorship_id !== mentorship.id);
+        return {};
+    }
+
+    // RSVP endpoints
+    createRsvp({ params, user }) {
+        const mentorship = this.findRecord('mentorships', params.id, 'Mentoria não encontrada');
+        this.requireMember(mentorship.group_id, user);
+
+        if (mentorship.status === 'cancelled') {
+            throw new MockHttpError(400, 'Esta mentoria foi cancelada');
+        }
+        if (mentorship.created_by === user.id) {
+            throw new MockHttpError(400, 'O mentor não precisa confirmar presença');
+        }
+
+        const rsvps = this.getRsvps(mentorship.id);
+        if (!rsvps.some(r => r.user_id === user.id)) {
+            const going = rsvps.filter(r => r.status === 'going').length;
+            const isFull = mentorship.capacity && going >= mentorship.capacity;
+
+            this.insert('rsvps', {
+                mentorship_id: mentorship.id,
+                user_id: user.id,
+                status: isFull ? 'waitlisted' : 'going'
+            });
+        }
+
+        return new MockResult(200, { mentorship: this.serializeMentorship(mentorship, user) });
+    }
+
+    deleteRsvp({ params, user }) {
+        const mentorship = this.findRecord('mentorships', params.id, 'Mentoria não encontrada');
+        this.requireMember(mentorship.group_id, user);
+
+        this.db.rsvps = this.db.rsvps.filter(r => !(r.mentorship_id === mentorship.id && r.user_id === user.id));
+        this.promoteWaitlist(mentorship);
+
+        return { mentorship: this.serializeMentorship(mentorship, user) };
+    }
+
+    // RSVPs for a mentorship in the order they were made
+    getRsvps(mentorshipId) {
+        return this.db.rsvps
+            .filter(r => r.mentorship_id === mentorshipId)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+    }
+
+    // Move people off the waitlist, first come first served, while there is room
+    promoteWaitlist(mentorship) {
+        const rsvps = this.getRsvps(mentorship.id);
+        let going = rsvps.filter(r => r.status === 'going').length;
+
+        for (const rsvp of rsvps.filter(r => r.status === 'waitlisted')) {
+            if (mentorship.capacity && going >= mentorship.capacity) break;
+            rsvp.status = 'going';
+            going++;
+        }
+    }
+
+    resolveTimeZone(timeZone, user) {
+        if (timeZone === undefined || timeZone === null || timeZone === '') {
+            return user.timezone || DEFAULT_TIME_ZONE;
+        }
+        if (!isValidTimeZone(timeZone)) {
+            throw new MockHttpError(400, 'Dados inválidos', { timezone: 'Fuso horário inválido' });
+        }
+        return timeZone;
+    }
+
+    // ISO strings with an offset (or Z) are absolute; a naive
+    // 'YYYY-MM-DDTHH:mm' is read as wall-clock time in `timeZone`
+    parseScheduledDate(value, timeZone) {
+        const text = String(value);
+        const date = /(Z|[+-]\d{2}:?\d{2})$/.test(text)
+            ? new Date(text)
+            : zonedTimeToUtc(text, timeZone);
+
+        if (Number.isNaN(date.getTime())) {
+            throw new MockHttpError(400, 'Dados inválidos', { scheduled_date: 'Data inválida' });
+        }
+        if (date <= new Date()) {
+            throw new MockHttpError(400, 'Dados inválidos', { scheduled_date: 'A data deve ser no futuro' });
+        }
+        return date;
+    }
+
+    // Move `occurrence` the way `reference` moves to `moveTo`: same number of
+    // calendar days, same new time of day
+    moveOccurrence(occurrence, reference, moveTo, timeZone) {
+        const civilDay = (parts) => Date.UTC(parts.year, parts.month - 1, parts.day);
+        const from = getZonedParts(reference.scheduled_date, timeZone);
+        const to = getZonedParts(moveTo, timeZone);
+        const own = getZonedParts(occurrence.scheduled_date, timeZone);
+
+        const day = new Date(civilDay(own) + civilDay(to) - civilDay(from));
+        const pad = (value) => String(value).padStart(2, '0');
+        return zonedTimeToUtc(`${day.toISOString().slice(0, 10)}T${pad(to.hour)}:${pad(to.minute)}`, timeZone);
+    }
+
+    // Dates for a weekly rule: every `interval` weeks on `weekdays`
+    // (0 = Sunday), at the start's time of day, until `until` or `count`.
+    // Days and times are wall-clock in `timeZone`, so sessions keep their
+    // local time across daylight saving changes.
+    expandRecurrence(start, recurrence, timeZone) {
+        const startParts = getZonedParts(start, timeZone);
+        const interval = Number(recurrence.interval ?? 1);
+        const weekdays = (recurrence.weekdays?.length ? recurrence.weekdays : [startParts.weekday])
+            .map(Number)
+            .sort((a, b) => a - b);
+        const count = recurrence.count ? Number(recurrence.count) : null;
+        const until = recurrence.until ? zonedTimeToUtc(`${recurrence.until}T23:59`, timeZone) : null;
+
+        const details = {};
+        if (recurrence.frequency && recurrence.frequency !== 'weekly') {
+            details.frequency = 'Apenas recorrência semanal é suportada';
+        }
+        if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+            details.interval = 'Informe um número de semanas entre 1 e 52';
+        }
+        if (weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            details.weekdays = 'Dia da semana inválido';
+        }
+        if (!count && !until) {
+            details.count = 'Informe o número de sessões ou a data final';
+        } else if (count && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+            details.count = `Informe um número entre 1 e ${MAX_OCCURRENCES}`;
+        } else if (until && !(until > start)) {
+            details.until = 'A data final deve ser depois da primeira sessão';
+        }
+        if (Object.keys(details).length > 0) {
+            throw new MockHttpError(400, 'Dados inválidos', details);
+        }
+
+        // Walk week by week from the Sunday of the first session, counting
+        // calendar days in UTC so the arithmetic itself has no DST
+        const pad = (value) => String(value).padStart(2, '0');
+        const time = `${pad(startParts.hour)}:${pad(startParts.minute)}`;
+        const weekStart = Date.UTC(startParts.year, startParts.month - 1, startParts.day - startParts.weekday);
+
+        const dates = [];
+        for (let week = 0; dates.length < (count || MAX_OCCURRENCES); week += interval) {
+            for (const day of weekdays) {
+                const civil = new Date(weekStart + (week * 7 + day) * 24 * 60 * 60 * 1000);
+                const date = zonedTimeToUtc(`${civil.toISOString().slice(0, 10)}T${time}`, timeZone);
+
+                if (date < start) continue;
+                if ((until && date > until) || dates.length >= (count || MAX_OCCURRENCES)) {
+                    return dates;
+                }
+                dates.push(date);
+            }
+        }
+
+        return dates;
+    }
+
+    validateCapacity(capacity, attendees) {
+        if (capacity === undefined || capacity === null || capacity === '') return;
+
+        const value = Number(capacity);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new MockHttpError(400, 'Dados inválidos', { capacity: 'Informe um número inteiro maior que zero' });
+        }
+        if (value < attendees) {
+            throw new MockHttpError(400, 'Dados inválidos', { capacity: `Já há ${attendees} participantes confirmados` });
+        }
+    }
+
+    // Material endpoints
+    getMaterials({ params, user }) {
+        const group = this.requireMember(params.id, user);
+        const materials = this.db.materials
+            .filter(m => m.group_id === group.id)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .map(m => this.serializeMaterial(m));
+
+        return { materials };
+    }
+
+    // JSON with a `url` for links, or multipart with a `file`
+    createMaterial({ params, body, user }) {
+        const group = this.requireMember(params.id, user);
+        const replayed = this.findReplayed('materials', body, user, 'uploaded_by');
+        if (replayed) {
+            return { material: this.serializeMaterial(replayed) };
+        }
+        const isUpload = body.file !== undefined;
+        this.requireFields(body, isUpload ? ['title'] : ['title', 'url']);
+        if (!isUpload) this.validateMaterialUrl(body.url);
+        const labels = this.parseMaterialLabels({ category: null, tags: [], ...body });
+        const mimeType = isUpload ? this.acceptUpload(body.file) : null;
+
+        const material = this.insert('materials', {
+            group_id: group.id,
+            title: body.title.trim(),
+            description: body.description || '',
+            url: isUpload ? null : body.url,
+            file_name: null,
+            file_size: null,
+            mime_type: null,
+            ...labels,
+            uploaded_by: user.id,
+            ...(body.client_id ? { client_id: String(body.client_id) } : {})
+        });
+        if (isUpload) {
+            this.storeFile(material, body.file, mimeType);
+        }
+
+        return { material: this.serializeMaterial(material) };
+    }
+
+    // Links must be http(s): anything else would end up in an href
+    validateMaterialUrl(url) {
+        if (!isWebUrl(String(url).trim())) {
+            throw new MockHttpError(400, 'Dados inválidos', { url: 'Informe um link http:// ou https://' });
+        }
+    }
+
+    // `category` and `tags` present in the body, validated. Tags may come as
+    // a list (JSON) or comma-separated (multipart).
+    parseMaterialLabels(body) {
+        const labels = {};
+
+        if (body.category !== undefined) {
+            const category = body.category || null;
+            if (category !== null && !MATERIAL_CATEGORIES.includes(category)) {
+                throw new MockHttpError(400, 'Dados inválidos', { category: 'Categoria inválida' });
+            }
+            labels.category = category;
+        }
+
+        if (body.tags !== undefined) {
+            const tags = parseTags(body.tags);
+            if (tags.length > MAX_TAGS) {
+                throw new MockHttpError(400, 'Dados inválidos', { tags: `Use no máximo ${MAX_TAGS} tags` });
+            }
+            if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+                throw new MockHttpError(400, 'Dados inválidos', { tags: `Cada tag pode ter até ${MAX_TAG_LENGTH} caracteres` });
+            }
+            labels.tags = tags;
+        }
+
+        return labels;
+    }
+
+    // Same limits as the real server: 413 over the size limit, 415 for
+    // types outside the allowed list
+    acceptUpload(file) {
+        if (!(file instanceof Blob) || file.size === 0) {
+            throw new MockHttpError(400, 'Dados inválidos', { file: 'Selecione um arquivo' });
+        }
+        if (file.size > MAX_UPLOAD_SIZE) {
+            const limit = MAX_UPLOAD_SIZE / (1024 * 1024);
+            throw new MockHttpError(413, 'Arquivo muito grande', { file: `O arquivo excede o limite de ${limit} MB` });
+        }
+
+        const mimeType = getUploadType(file);
+        if (!mimeType) {
+            throw new MockHttpError(415, 'Tipo de arquivo não suportado', { file: 'Tipo de arquivo não suportado' });
+        }
+        return mimeType;
+    }
+
+    storeFile(material, file, mimeType) {
+        this.files.set(material.id, file);
+        Object.assign(material, {
+            url: `/api/materials/${material.id}/file`,
+            file_name: file.name || `material-${material.id}`,
+            file_size: file.size,
+            mime_type: mimeType
+        });
+    }
+
+    // Uploader or group owner
+    requireMaterialEditor(materialId, user) {
+        const material = this.findRecord('materials', materialId, 'Material não encontrado');
+        const group = this.findGroup(material.group_id);
+        if (material.uploaded_by !== user.id && group.owner_id !== user.id) {
+            throw new MockHttpError(403, 'Acesso negado');
+        }
+        return material;
+    }
+
+    // A new `file` replaces the stored one; a `url` turns the material
+    // back into a link
+    updateMaterial({ params, body, user }) {
+        const material = this.requireMaterialEditor(params.id, user);
+
+        ['title', 'url'].forEach(field => {
+            if (body[field] !== undefined && !String(body[field]).trim()) {
+                throw new MockHttpError(400, 'Dados inválidos', { [field]: 'Campo obrigatório' });
+            }
+        });
+        if (body.url !== undefined && body.file === undefined) this.validateMaterialUrl(body.url);
+        const labels = this.parseMaterialLabels(body);
+        const mimeType = body.file !== undefined ? this.acceptUpload(body.file) : null;
+
+        ['title', 'description'].forEach(field => {
+            if (body[field] !== undefined) material[field] = body[field];
+        });
+        Object.assign(material, labels);
+
+        if (mimeType) {
+            this.storeFile(material, body.file, mimeType);
+        } else if (body.url !== undefined) {
+            this.files.delete(material.id);
+            Object.assign(material, { url: body.url, file_name: null, file_size: null, mime_type: null });
+        }
+
+        return { material: this.serializeMaterial(material) };
+    }
+
+    getMaterialFile({ params, user }) {
+        const material = this.findRecord('materials', params.id, 'Material não encontrado');
+        this.requireMember(material.group_id, user);
+
+        const file = this.files.get(material.id);
+        if (!file) {
+            throw new MockHttpError(404, 'Arquivo não encontrado');
+        }
+
+        return new MockResult(200, file, material.mime_type, {
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(material.file_name)}`
+        });
+    }
+
+    deleteMaterial({ params, user }) {
+        const material = this.requireMaterialEditor(params.id, user);
+
+        this.files.delete(material.id);
+        this.db.materials = this.db.materials.filter(m => m.id !== material.id);
+        return {};
+    }
+
+    // Message endpoints
+    getMessages({ params, query, user }) {
+        const group = this.requireMember(params.id, user);
+        const limit = Math.min(Number(query.limit) || 30, 100);
+        let messages = this.db.messages
+            .filter(m => m.group_id === group.id)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+
+        if (query.before) {
+            const index = messages.findIndex(m => m.id === Number(query.before));
+            messages = index === -1 ? [] : messages.slice(0, index);
+        }
+
+        return {
+            messages: messages.slice(-limit).map(m => this.serializeMessage(m)),
+            has_more: messages.length > limit
+        };
+    }
+
+    sendMessage({ params, body, user }) {
+        const group = this.requireMember(params.id, user);
+        const replayed = this.findReplayed('messages', body, user, 'user_id');
+        if (replayed) {
+            return { message: this.serializeMessage(replayed) };
+        }
+        this.requireFields(body, ['content']);
+
+        const message = this.insert('messages', {
+            group_id: group.id,
+            user_id: user.id,
+            content: String(body.content).trim().slice(0, 500),
+            ...(body.client_id ? { client_id: String(body.client_id) } : {})
+        });
+
+        return { message: this.serializeMessage(message) };
+    }
+
+    // Calendar feed endpoints
+    calendarFeedUrl(user) {
+        if (!user.calendar_token) {
+            user.calendar_token = this.generateFeedToken();
+        }
+        return `${window.location.origin}/api/calendar/feed/${user.calendar_token}.ics`;
+    }
+
+    generateFeedToken() {
+        return Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 10)).join('');
+    }
+
+    getCalendarFeed({ user }) {
+        return { feed: { url: this.calendarFeedUrl(user) } };
+    }
+
+    // A new token invalidates the old URL
+    resetCalendarFeed({ user }) {
+        user.calendar_token = this.generateFeedToken();
+        return new MockResult(200, { feed: { url: this.calendarFeedUrl(user) } });
+    }
+
+    // Calendar apps can't send a bearer token, so the token in the URL is the credential
+    getCalendarFeedEvents({ params }) {
+        const token = params.token.replace(/\.ics$/, '');
+        const user = this.db.users.find(u => u.calendar_token && u.calendar_token === token);
+        if (!user) throw new MockHttpError(404, 'Calendário não encontrado');
+
+        const groupIds = this.db.memberships.filter(m => m.user_id === user.id).map(m => m.group_id);
+        const since = Date.now() - 30 * 24 * 60 * 60 * 1000;
+        const mentorships = this.db.mentorships
+            .filter(m => groupIds.includes(m.group_id) && new Date(m.scheduled_date).getTime() >= since)
+            .map(m => ({ ...this.serializeMentorship(m, user), group_name: this.findGroup(m.group_id).name }));
+
+        const calendar = buildCalendar(mentorships, {
+            name: `EduConnect - ${user.name}`,
+            origin: window.location.origin
+        });
+        return new MockResult(200, calendar, 'text/calendar; charset=utf-8');
+    }
+
+    // Search endpoint: everything in the caller's groups, newest first.
+    // `limit` caps each type; `totals` has the full counts.
+    search({ query, user }) {
+        const q = (query.q || '').trim();
+        if (q.length < MIN_QUERY_LENGTH) {
+            throw new MockHttpError(400, 'Dados inválidos', { q: `Digite pelo menos ${MIN_QUERY_LENGTH} caracteres` });
+        }
+
+        const limit = Math.min(Number(query.limit) || 10, 50);
+        const words = getQueryWords(q);
+        const groupIds = this.db.memberships.filter(m => m.user_id === user.id).map(m => m.group_id);
+        const inGroups = (row) => groupIds.includes(row.group_id);
+        const groupName = (row) => this.findGroup(row.group_id).name;
+        const newest = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+        const matches = {
+            groups: this.db.groups
+                .filter(g => groupIds.includes(g.id) && matchesWords(words, g.name, g.description))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(g => this.serializeGroup(g)),
+            materials: this.db.materials
+                .filter(m => inGroups(m) && matchesWords(words, m.title, m.description, (m.tags || []).join(' '), m.file_name || m.url))
+                .sort(newest('created_at'))
+                .map(m => ({ ...this.serializeMaterial(m), group_name: groupName(m) })),
+            mentorships: this.db.mentorships
+                .filter(m => inGroups(m) && matchesWords(words, m.title, m.description))
+                .sort(newest('scheduled_date'))
+                .map(m => ({ ...this.serializeMentorship(m, user), group_name: groupName(m) })),
+            messages: this.db.messages
+                .filter(m => inGroups(m) && matchesWords(words, m.content))
+                .sort(newest('created_at'))
+                .map(m => ({ ...this.serializeMessage(m), group_name: groupName(m) }))
+        };
+
+        const results = {};
+        const totals = {};
+        Object.entries(matches).forEach(([type, rows]) => {
+            results[type] = rows.slice(0, limit);
+            totals[type] = rows.length;
+        });
+
+        return { query: q, results, totals };
+    }
+}
+
+export { MockBackend, defaultFixtures };
@@ -0,0 +1,166 @@
+// Offline Request Queue
+// Writes made while offline are persisted here and replayed, in order,
+// once the browser reports that the connection is back.
+import { NetworkError } from './errors.js';
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'offline_queue';
+
+class OfflineQueue {
+    constructor(client) {
+        this.client = client;
+        this.items = this.load();
+        this.isReplaying = false;
+        this.listeners = [];
+
+        window.addEventListener('online', () => this.replay());
+    }
+
+    // Persistence
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            // Anything interrupted mid-replay goes back to pending
+            return Array.isArray(stored)
+                ? stored.map(item => item.status === 'sending' ? { ...item, status: 'pending' } : item)
+                : [];
+        } catch (error) {
+            console.warn('Invalid offline queue in storage, discarding:', error);
+            return [];
+        }
+    }
+
+    save() {
+        if (this.items.length > 0) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.items));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+        this.notifyListeners();
+    }
+
+    // Queue operations
+    enqueue({ method, endpoint, body, meta = {} }) {
+        const item = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            method,
+            endpoint,
+            body,
+            meta,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.items.push(item);
+        this.save();
+
+        // The label carries user content (titles), so this toast is plain text
+        window.dispatchEvent(new CustomEvent('ui:toast', {
+            detail: {
+                type: 'warning',
+                message: t('queue.queued', { label: meta.label || t('queue.labels.default') }),
+                text: true
+            }
+        }));
+
+        return item;
+    }
+
+    getItems() {
+        return [...this.items];
+    }
+
+    update(id, changes) {
+        this.items = this.items.map(item => item.id === id ? { ...item, ...changes } : item);
+        this.save();
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    // Dropped by the user; unlike a replayed item it never reaches the server
+    discard(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        this.remove(id);
+        window.dispatchEvent(new CustomEvent('queue:discarded', { detail: { item } }));
+    }
+
+    clear() {
+        this.items = [];
+        this.save();
+    }
+
+    retry(id) {
+        this.update(id, { status: 'pending', error: null });
+        return this.replay();
+    }
+
+    // Replay pending items in the order they were made. A network failure
+    // stops the run (we are still offline); a server rejection marks the
+    // item as failed and moves on.
+    async replay() {
+        if (this.isReplaying || !navigator.onLine || !this.client.token) return;
+        this.isReplaying = true;
+
+        try {
+            for (const item of this.items.filter(i => i.status === 'pending')) {
+                this.update(item.id, { status: 'sending', attempts: item.attempts + 1 });
+
+                try {
+                    const response = await this.client.request(item.endpoint, {
+                        method: item.method,
+                        body: item.body,
+                        retries: 0
+                    });
+
+                    this.remove(item.id);
+                    window.dispatchEvent(new CustomEvent('queue:replayed', {
+                        detail: { item, response }
+                    }));
+                } catch (error) {
+                    if (error instanceof NetworkError) {
+                        this.update(item.id, { status: 'pending' });
+                        break;
+                    }
+
+                    this.update(item.id, {
+                        status: 'failed',
+                        error: error.data?.error?.message || error.message
+                    });
+                    window.dispatchEvent(new CustomEvent('queue:failed', {
+                        detail: { item, error }
+                    }));
+                }
+            }
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    // Listener management
+    addListener(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    notifyListeners() {
+        const items = this.getItems();
+        this.listeners.forEach(callback => {
+            try {
+                callback(items);
+            } catch (error) {
+                console.error('Offline queue listener error:', error);
+            }
+        });
+    }
+}
+
+export { OfflineQueue };
@@ -0,0 +1,190 @@
+// Real-time Chat Channel (WebSocket)
+import { api } from './api.js';
+
+class ChatSocket {
+    constructor(options = {}) {
+        this.path = options.path || '/ws';
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+
+        this.socket = null;
+        this.groupId = null;
+        this.status = 'idle'; // idle | connecting | open | reconnecting | closed
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.listeners = [];
+    }
+
+    isSupported() {
+        return typeof window.WebSocket === 'function';
+    }
+
+    getUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}${this.path}`;
+    }
+
+    // Subscription management
+    subscribe(groupId) {
+        if (this.groupId === groupId && this.socket) return;
+
+        this.unsubscribe();
+        this.groupId = groupId;
+        this.connect();
+    }
+
+    unsubscribe() {
+        this.groupId = null;
+        this.reconnectAttempts = 0;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+            socket.close(1000, 'unsubscribe');
+        }
+
+        this.setStatus('closed');
+    }
+
+    // Connection lifecycle
+    connect() {
+        if (!this.groupId || !api.client.token) return;
+
+        // The mock backend has no socket server; polling covers it
+        if (!this.isSupported() || api.mockBackend) {
+            this.setStatus('closed');
+            return;
+        }
+
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.getUrl());
+        } catch (error) {
+            console.warn('Chat socket error:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket = socket;
+
+        socket.onopen = () => {
+            // Browsers can't set headers on the upgrade request, so the token
+            // travels as the first frame instead of in the URL
+            this.send({ type: 'auth', token: api.client.token });
+            this.send({ type: 'subscribe', groupId: this.groupId });
+        };
+
+        socket.onmessage = (event) => {
+            this.handleFrame(event.data);
+        };
+
+        socket.onerror = () => {
+            // onclose always follows, reconnect is handled there
+        };
+
+        socket.onclose = (event) => {
+            this.socket = null;
+
+            // 4401 means the server rejected our token; polling will surface the 401
+            if (event.code === 4401) {
+                this.setStatus('closed');
+                return;
+            }
+
+            this.scheduleReconnect();
+        };
+    }
+
+    scheduleReconnect() {
+        if (!this.groupId) return;
+
+        const delay = Math.min(this.baseDelay * Math.pow(2, this.reconnectAttempts), this.maxDelay);
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting');
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    send(payload) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(payload));
+        }
+    }
+
+    handleFrame(raw) {
+        let frame;
+        try {
+            frame = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Invalid chat frame:', raw);
+            return;
+        }
+
+        switch (frame.type) {
+            case 'subscribed':
+                this.reconnectAttempts = 0;
+                this.setStatus('open');
+                break;
+            case 'message':
+                if (String(frame.groupId) === String(this.groupId) && frame.message) {
+                    this.notifyListeners({ type: 'message', message: frame.message });
+                }
+                break;
+            case 'error':
+                console.warn('Chat socket server error:', frame.error);
+                break;
+        }
+    }
+
+    isOpen() {
+        return this.status === 'open';
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.notifyListeners({ type: 'status', status });
+    }
+
+    // Listener management
+    addListener(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    notifyListeners(event) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Chat socket listener error:', error);
+            }
+        });
+    }
+}
+
+// Create global instance
+const chatSocket = new ChatSocket();
+
+// Drop the connection when the session ends
+window.addEventListener('auth:logout', () => {
+    chatSocket.unsubscribe();
+});
+
+// Make available globally and export for modules
+window.chatSocket = chatSocket;
+
+export { chatSocket, ChatSocket };
@@ -1,12 +1,48 @@
 // SPA Router Module
 import { auth } from './auth.js';
 import { ui, Templates } from './ui.js';
+import { isAbortError } from './api.js';
+import { buildCalendar, downloadCalendar } from './ics.js';
+import { getCalendarRange, shiftCalendarDate, addDays, toZonedDay } from './calendar.js';
+import { getUserTimeZone, zonedTimeToUtc, toZonedInputValue } from './timezone.js';
+import { t, setLocale } from './i18n.js';
+import { MAX_UPLOAD_SIZE, checkUpload, saveFile } from './files.js';
+import {
+    MATERIAL_CATEGORIES,
+    MATERIAL_SORTS,
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    isWebUrl,
+    getMaterialType,
+    parseTags,
+    listTags,
+    filterMaterials,
+    hasFilters
+} from './materials.js';
+import { MIN_QUERY_LENGTH } from './search.js';
 
 class Router {
     constructor() {
         this.routes = new Map();
-        this.currentRoute = null;
+        this.currentRoute = null; // Path without the query string
         this.currentParams = {};
+        this.currentQuery = new URLSearchParams();
+        this.routeController = null;
+        this.currentGroup = null;
+        this.currentMembers = [];
+        this.dashboardGroups = [];
+        this.currentMentorships = [];
+        this.currentMaterials = [];
+        this.materialPreview = null;
+        // Materials tab search, tag, category and sort; mirrored in the URL
+        this.materialFilters = { q: '', tag: '', category: '', sort: 'date' };
+        this.searchTimer = null;
+        this.dashboardMentorships = [];
+        // Load for the dashboard calendar's current range
+        this.dashboardMentorshipsController = null;
+        // Mentorship list/calendar state for the group page and the dashboard
+        this.mentorshipView = { view: 'list', date: new Date() };
+        this.dashboardView = { view: 'month', date: new Date() };
         
         this.init();
     }
@@ -50,12 +86,22 @@ class Router {
             handler: (params) => this.renderGroup(params.id),
             requiresAuth: true
         });
+
+        this.routes.set('/group/:id/settings', {
+            handler: (params) => this.renderGroupSettings(params.id),
+            requiresAuth: true
+        });
+
+        this.routes.set('/search', {
+            handler: () => this.renderSearch(),
+            requiresAuth: true
+        });
     }
 
     setupEventListeners() {
         // Handle browser back/forward buttons
         window.addEventListener('popstate', (e) => {
-            this.handleRoute(e.state?.path || window.location.pathname);
+            this.handleRoute(e.state?.path || window.location.pathname + window.location.search);
         });
 
         // Handle navigation events
@@ -63,6 +109,17 @@ class Router {
             this.navigate(e.detail.path, e.detail.replace);
         });
 
+        // Refresh the page when a write queued while offline goes through
+        window.addEventListener('queue:replayed', (e) => {
+            this.handleQueueReplayed(e.detail.item, e.detail.response);
+        });
+        window.addEventListener('queue:failed', (e) => {
+            this.handleQueueFailed(e.detail.item);
+        });
+        window.addEventListener('queue:discarded', (e) => {
+            this.handleQueueDiscarded(e.detail.item);
+        });
+
         // Handle auth state changes
         auth.addListener((authState) => {
             if (!authState.isLoading) {
@@ -70,6 +127,18 @@ class Router {
             }
         });
 
+        // Header search box, on every signed-in page
+        document.addEventListener('submit', (e) => {
+            const form = e.target.closest('[data-header-search]');
+            if (!form) return;
+
+            e.preventDefault();
+            const query = form.elements.q.value.trim();
+            if (query) {
+                this.navigate(`/search?${new URLSearchParams({ q: query })}`);
+            }
+        });
+
         // Handle link clicks for SPA navigation
         document.addEventListener('click', (e) => {
             const link = e.target.closest('a[href^="/"]');
@@ -86,11 +155,11 @@ class Router {
             const unsubscribe = auth.addListener((authState) => {
                 if (!authState.isLoading) {
                     unsubscribe();
-                    this.handleRoute(window.location.pathname);
+                    this.handleRoute(window.location.pathname + window.location.search);
                 }
             });
         } else {
-            this.handleRoute(window.location.pathname);
+            this.handleRoute(window.location.pathname + window.location.search);
         }
     }
 
@@ -155,8 +224,10 @@ class Router {
         return null;
     }
 
+    // `path` may carry a query string; it is kept in `currentQuery`
     async handleRoute(path) {
-        const route = this.findRoute(path);
+        const [pathname, search = ''] = path.split('?');
+        const route = this.findRoute(pathname);
         
         if (!route) {
             this.render404();
@@ -174,21 +245,33 @@ class Router {
             return;
         }
 
+        // Leaving a page drops its chat subscription, its loading overlay and
+        // the requests it started, so late responses can't touch the new page
+        ui.stopChat();
+        ui.toggleLoading(false);
+        this.closeMaterialPreview();
+        if (this.routeController) {
+            this.routeController.abort();
+        }
+        this.routeController = new AbortController();
+
         // Set current route
-        this.currentRoute = path;
+        this.currentRoute = pathname;
         this.currentParams = route.params || {};
+        this.currentQuery = new URLSearchParams(search);
 
         // Execute route handler
         try {
             await route.handler(route.params);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Route handler error:', error);
-            this.renderError('Erro ao carregar a página');
+            this.renderError(t('errors.page'));
         }
     }
 
     navigate(path, replace = false) {
-        if (path === this.currentRoute) {
+        if (path === this.getCurrentPath()) {
             return; // Already on this route
         }
 
@@ -203,6 +286,31 @@ class Router {
         this.handleRoute(path);
     }
 
+    getCurrentPath() {
+        const search = this.currentQuery.toString();
+        return search ? `${this.currentRoute}?${search}` : this.currentRoute;
+    }
+
+    // Page state kept in the URL (tabs, filters). Replaces the history entry
+    // without re-rendering; null or empty values are removed.
+    updateQuery(changes) {
+        Object.entries(changes).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === '') {
+                this.currentQuery.delete(name);
+            } else {
+                this.currentQuery.set(name, value);
+            }
+        });
+
+        const path = this.getCurrentPath();
+        window.history.replaceState({ path }, '', path);
+    }
+
+    // Signal aborted when the user navigates away from the current route
+    getRouteSignal() {
+        return this.routeController?.signal;
+    }
+
     redirectToDefaultRoute() {
         const defaultRoute = auth.isAuthenticated ? '/dashboard' : '/login';
         this.navigate(defaultRoute, true);
@@ -214,7 +322,7 @@ class Router {
             this.renderPage(Templates.loginPage());
             this.setupLoginHandlers();
         } catch (error) {
-            this.renderError('Erro ao carregar página de login');
+            this.renderError(t('errors.loginPage'));
         }
     }
 
@@ -223,7 +331,7 @@ class Router {
             this.renderPage(Templates.registerPage());
             this.setupRegisterHandlers();
         } catch (error) {
-            this.renderError('Erro ao carregar página de registro');
+            this.renderError(t('errors.registerPage'));
         }
     }
 
@@ -233,30 +341,137 @@ class Router {
             await this.loadDashboardData();
             this.setupDashboardHandlers();
         } catch (error) {
-            this.renderError('Erro ao carregar dashboard');
+            if (isAbortError(error)) return;
+            this.renderError(t('errors.dashboard'));
         }
     }
 
     async renderGroup(groupId) {
+        const signal = this.getRouteSignal();
+
         try {
-            ui.toggleLoading(true, 'Carregando grupo...');
+            ui.toggleLoading(true, t('groups.loadingOne'));
             
-            const response = await api.getGroup(groupId);
+            const response = await api.getGroup(groupId, {
+                signal,
+                onRevalidate: (fresh) => {
+                    const header = document.querySelector('.group-header');
+                    if (header && fresh.success) {
+                        this.currentGroup = fresh.data.group;
+                        header.outerHTML = Templates.groupHeader(fresh.data.group);
+                    }
+                }
+            });
             if (!response.success) {
-                throw new Error('Grupo não encontrado');
+                throw new Error(t('errors.groupNotFound'));
             }
 
+            this.currentGroup = response.data.group;
+            this.materialFilters = this.readMaterialFilters();
             this.renderPage(Templates.groupPage(response.data.group));
             await this.loadGroupData(groupId);
+            if (signal.aborted) return;
+
             this.setupGroupHandlers(groupId);
             
-            // Start chat polling
-            ui.startChatPolling(groupId);
-            
+            // Start real-time chat (falls back to polling)
+            ui.startChat(groupId);
+
+            this.openLinkedItem(groupId);
         } catch (error) {
-            this.renderError('Erro ao carregar grupo');
+            if (isAbortError(error)) return;
+            this.renderError(t('errors.group'));
         } finally {
-            ui.toggleLoading(false);
+            // Once aborted, handleRoute already hid the overlay and it may
+            // belong to the next route
+            if (!signal.aborted) {
+                ui.toggleLoading(false);
+            }
+        }
+    }
+
+    // Search results link to a session (?mentorship=<id>) or a chat
+    // message (?tab=chat&message=<id>) inside the group. They are removed
+    // once used, so re-renders of the page don't open them again.
+    openLinkedItem(groupId) {
+        const mentorshipId = this.currentQuery.get('mentorship');
+        const messageId = this.currentQuery.get('message');
+        if (!mentorshipId && !messageId) return;
+        this.updateQuery({ mentorship: null, message: null });
+
+        if (mentorshipId) {
+            const mentorship = this.currentMentorships.find(m => String(m.id) === mentorshipId);
+            if (mentorship) {
+                this.showMentorshipDetails(mentorship, groupId);
+            } else {
+                ui.showToast(t('search.mentorshipNotFound'), 'info');
+            }
+        }
+
+        if (messageId) {
+            ui.focusChatMessage(groupId, messageId);
+        }
+    }
+
+    async renderSearch() {
+        const signal = this.getRouteSignal();
+        const query = (this.currentQuery.get('q') || '').trim();
+
+        this.renderPage(Templates.searchPage(query));
+
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                auth.logout();
+            });
+        }
+
+        if (query.length < MIN_QUERY_LENGTH) {
+            document.querySelector('[data-header-search] input')?.focus();
+            return;
+        }
+
+        const container = document.getElementById('search-results');
+        try {
+            const response = await api.search(query, { signal });
+            if (response.success && container) {
+                container.innerHTML = Templates.searchResults(response.data);
+            }
+        } catch (error) {
+            if (isAbortError(error)) return;
+            if (container) {
+                container.innerHTML = `<div class="text-center"><p>${t('errors.search')}</p></div>`;
+            }
+        }
+    }
+
+    async renderGroupSettings(groupId) {
+        const signal = this.getRouteSignal();
+
+        try {
+            ui.toggleLoading(true, t('settings.loading'));
+
+            // Settings must reflect the server, not a cached copy
+            const response = await api.getGroup(groupId, { signal, cache: false });
+            if (!response.success) {
+                throw new Error(t('errors.groupNotFound'));
+            }
+
+            const group = response.data.group;
+            if (!auth.canManageGroup(group)) {
+                this.renderError(t('errors.settingsOwnerOnly'));
+                return;
+            }
+
+            this.renderPage(Templates.groupSettingsPage(group));
+            this.setupGroupSettingsHandlers(group);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            this.renderError(t('errors.settings'));
+        } finally {
+            if (!signal.aborted) {
+                ui.toggleLoading(false);
+            }
         }
     }
 
@@ -264,8 +479,8 @@ class Router {
         this.renderPage(`
             <div class="container" style="text-align: center; padding: 4rem 1rem;">
                 <h1>404</h1>
-                <p>Página não encontrada</p>
-                <a href="/dashboard" class="btn btn-primary">Voltar ao Dashboard</a>
+                <p>${t('errors.pageNotFound')}</p>
+                <a href="/dashboard" class="btn btn-primary">${t('common.backToDashboard')}</a>
             </div>
         `);
     }
@@ -273,9 +488,9 @@ class Router {
     renderError(message) {
         this.renderPage(`
             <div class="container" style="text-align: center; padding: 4rem 1rem;">
-                <h1>Erro</h1>
+                <h1>${t('common.error')}</h1>
                 <p>${message}</p>
-                <a href="/dashboard" class="btn btn-primary">Voltar ao Dashboard</a>
+                <a href="/dashboard" class="btn btn-primary">${t('common.backToDashboard')}</a>
             </div>
         `);
     }
@@ -293,20 +508,25 @@ class Router {
 
     updateDocumentTitle() {
         const titles = {
-            '/login': 'Login - EduConnect',
-            '/register': 'Criar Conta - EduConnect',
-            '/dashboard': 'Dashboard - EduConnect'
+            '/login': t('titles.login'),
+            '/register': t('titles.register'),
+            '/dashboard': t('titles.dashboard'),
+            '/search': t('titles.search')
         };
         
-        if (this.currentRoute.startsWith('/group/')) {
-            document.title = 'Grupo - EduConnect';
-        } else {
-            document.title = titles[this.currentRoute] || 'EduConnect';
+        let title = titles[this.currentRoute];
+        if (/^\/group\/[^/]+\/settings$/.test(this.currentRoute)) {
+            title = t('titles.groupSettings');
+        } else if (this.currentRoute.startsWith('/group/')) {
+            title = t('titles.group');
         }
+        document.title = title ? `${title} - EduConnect` : 'EduConnect';
     }
 
     // Event Handler Setup Methods
     setupLoginHandlers() {
+        this.setupLanguageSelect();
+
         const form = document.getElementById('login-form');
         if (!form) return;
 
@@ -329,6 +549,8 @@ class Router {
     }
 
     setupRegisterHandlers() {
+        this.setupLanguageSelect();
+
         const form = document.getElementById('register-form');
         if (!form) return;
 
@@ -350,6 +572,18 @@ class Router {
         });
     }
 
+    // Before sign-in the language is only remembered on this device;
+    // registering saves it to the new account
+    setupLanguageSelect() {
+        const select = document.getElementById('language-select');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            setLocale(select.value);
+            this.handleRoute(this.getCurrentPath());
+        });
+    }
+
     setupDashboardHandlers() {
         // Logout button
         const logoutBtn = document.getElementById('logout-btn');
@@ -377,8 +611,55 @@ class Router {
             });
         }
 
+        // Preferences
+        const preferencesBtn = document.getElementById('preferences-btn');
+        if (preferencesBtn) {
+            preferencesBtn.addEventListener('click', () => {
+                this.showPreferencesModal();
+            });
+        }
+
+        // Calendar subscription
+        const calendarFeedBtn = document.getElementById('calendar-feed-btn');
+        if (calendarFeedBtn) {
+            calendarFeedBtn.addEventListener('click', () => {
+                this.showCalendarFeedModal();
+            });
+        }
+
+        // Combined calendar of all groups
+        const dashboardMentorships = document.getElementById('dashboard-mentorships');
+        if (dashboardMentorships) {
+            dashboardMentorships.addEventListener('click', (e) => {
+                // A different range needs a different query
+                if (this.handleCalendarControls(e, this.dashboardView, () => this.loadDashboardMentorships())) return;
+
+                const eventBtn = e.target.closest('[data-calendar-event]');
+                const mentorship = eventBtn && this.dashboardMentorships.find(m => String(m.id) === eventBtn.dataset.calendarEvent);
+                if (mentorship) {
+                    this.showMentorshipDetails(mentorship);
+                }
+            });
+        }
+
+        // Leave buttons on the group cards
+        const groupsContainer = document.getElementById('groups-container');
+        if (groupsContainer) {
+            groupsContainer.addEventListener('click', (e) => {
+                const leaveBtn = e.target.closest('[data-group-action="leave"]');
+                if (!leaveBtn) return;
+
+                const group = this.dashboardGroups.find(g => String(g.id) === leaveBtn.dataset.groupId);
+                if (group) {
+                    this.leaveGroup(group, leaveBtn);
+                }
+            });
+        }
+
         // Group card clicks
         document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-group-action]')) return;
+
             const groupCard = e.target.closest('.group-card');
             if (groupCard) {
                 const groupId = groupCard.dataset.groupId;
@@ -409,6 +690,29 @@ class Router {
             });
         }
 
+        // Calendar controls, session details and mentorship actions
+        const mentorshipsList = document.getElementById('mentorships-list');
+        if (mentorshipsList) {
+            mentorshipsList.addEventListener('click', (e) => {
+                if (this.handleCalendarControls(e, this.mentorshipView, () => this.renderMentorships())) return;
+
+                const findMentorship = (id) => this.currentMentorships.find(m => String(m.id) === id);
+
+                const eventBtn = e.target.closest('[data-calendar-event]');
+                if (eventBtn) {
+                    const mentorship = findMentorship(eventBtn.dataset.calendarEvent);
+                    if (mentorship) this.showMentorshipDetails(mentorship, groupId);
+                    return;
+                }
+
+                const button = e.target.closest('[data-mentorship-action]');
+                const mentorship = button && findMentorship(button.dataset.mentorshipId);
+                if (mentorship) {
+                    this.handleMentorshipAction(groupId, mentorship, button);
+                }
+            });
+        }
+
         // Create material button
         const createMaterialBtn = document.getElementById('create-material-btn');
         if (createMaterialBtn) {
@@ -417,48 +721,549 @@ class Router {
             });
         }
 
+        // Material filters
+        const filtersForm = document.getElementById('materials-filters');
+        if (filtersForm) {
+            filtersForm.addEventListener('submit', (e) => e.preventDefault());
+            filtersForm.addEventListener('change', (e) => {
+                if (e.target.name !== 'q') {
+                    this.setMaterialFilters({ [e.target.name]: e.target.value });
+                }
+            });
+            // Search as the user types, once they pause
+            filtersForm.querySelector('#materials-search').addEventListener('input', (e) => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.setMaterialFilters({ q: e.target.value }), 250);
+            });
+        }
+
+        // Material actions, in the list and in the preview pane
+        const materialsTab = document.getElementById('materials-tab');
+        if (materialsTab) {
+            materialsTab.addEventListener('click', (e) => {
+                const tagBtn = e.target.closest('[data-material-tag]');
+                if (tagBtn) {
+                    this.setMaterialFilters({ tag: tagBtn.dataset.materialTag });
+                    return;
+                }
+
+                const button = e.target.closest('[data-material-action]');
+                if (!button) return;
+
+                if (button.dataset.materialAction === 'close-preview') {
+                    this.closeMaterialPreview();
+                    return;
+                }
+                if (button.dataset.materialAction === 'clear-filters') {
+                    this.setMaterialFilters({ q: '', tag: '', category: '' });
+                    return;
+                }
+
+                const material = this.currentMaterials.find(m => String(m.id) === button.dataset.materialId);
+                if (!material) return;
+
+                if (button.dataset.materialAction === 'edit') {
+                    this.showCreateMaterialModal(groupId, material);
+                } else if (button.dataset.materialAction === 'delete') {
+                    this.deleteMaterial(groupId, material, button);
+                } else if (button.dataset.materialAction === 'download') {
+                    this.downloadMaterial(material, button);
+                } else if (button.dataset.materialAction === 'preview') {
+                    this.previewMaterial(material);
+                }
+            });
+        }
+
         // Chat functionality
         this.setupChatHandlers(groupId);
+
+        // Member roster actions
+        this.setupMemberHandlers(groupId);
+
+        // Leave button (the header is re-rendered on revalidation, so delegate)
+        const groupPage = document.querySelector('.group-page');
+        if (groupPage) {
+            groupPage.addEventListener('click', (e) => {
+                const leaveBtn = e.target.closest('[data-group-action="leave"]');
+                if (leaveBtn && this.currentGroup) {
+                    this.leaveGroup(this.currentGroup, leaveBtn);
+                }
+            });
+        }
+    }
+
+    handleMentorshipAction(groupId, mentorship, button) {
+        switch (button.dataset.mentorshipAction) {
+            case 'edit':
+                this.editMentorship(groupId, mentorship);
+                break;
+            case 'cancel':
+                this.cancelMentorship(groupId, mentorship, button);
+                break;
+            case 'ics':
+                this.downloadMentorship(mentorship);
+                break;
+            case 'rsvp':
+                this.updateRsvp(groupId, mentorship, button, true);
+                break;
+            case 'unrsvp':
+                this.updateRsvp(groupId, mentorship, button, false);
+                break;
+        }
+    }
+
+    // View switch and previous/today/next buttons shared by the group and
+    // dashboard calendars. Returns true when the click was one of them.
+    handleCalendarControls(e, state, rerender) {
+        const viewBtn = e.target.closest('[data-calendar-view]');
+        if (viewBtn) {
+            state.view = viewBtn.dataset.calendarView;
+            rerender();
+            return true;
+        }
+
+        const navBtn = e.target.closest('[data-calendar-nav]');
+        if (navBtn) {
+            const direction = Number(navBtn.dataset.calendarNav);
+            state.date = direction === 0 ? toZonedDay(new Date()) : shiftCalendarDate(state.view, state.date, direction);
+            rerender();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Without a groupId (dashboard) the modal links to the group instead of
+    // offering the group page actions
+    showMentorshipDetails(mentorship, groupId = null) {
+        const modal = ui.showModal(Templates.mentorshipDetails(mentorship, { inGroup: Boolean(groupId) }), {
+            title: ui.escapeHtml(mentorship.title)
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.closest('a[href^="/"]')) {
+                ui.hideModal(modal);
+                return;
+            }
+
+            const button = e.target.closest('[data-mentorship-action]');
+            if (!button) return;
+
+            ui.hideModal(modal);
+            if (groupId) {
+                this.handleMentorshipAction(groupId, mentorship, button);
+            } else if (button.dataset.mentorshipAction === 'ics') {
+                this.downloadMentorship(mentorship);
+            }
+        });
+    }
+
+    async editMentorship(groupId, mentorship) {
+        const scope = await this.chooseMentorshipScope(mentorship, 'edit');
+        if (scope) {
+            this.showCreateMentorshipModal(groupId, mentorship, scope);
+        }
+    }
+
+    async cancelMentorship(groupId, mentorship, button) {
+        const scope = await this.chooseMentorshipScope(mentorship, 'cancel');
+        if (!scope) return;
+
+        const confirmed = await ui.confirm({
+            title: t('mentorships.cancel'),
+            message: t(scope === 'series' ? 'mentorships.confirmCancel.series' : 'mentorships.confirmCancel.occurrence', {
+                title: ui.escapeHtml(mentorship.title)
+            }),
+            confirmLabel: t('mentorships.cancel'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            button.disabled = true;
+            const response = await api.cancelMentorship(mentorship.id, scope);
+
+            if (response.success) {
+                ui.showToast(t('mentorships.toasts.cancelled'), 'success');
+                await this.loadMentorships(groupId);
+            }
+        } catch (error) {
+            handleApiError(error);
+            button.disabled = false;
+        }
+    }
+
+    downloadMentorship(mentorship) {
+        const calendar = buildCalendar([{ ...mentorship, group_name: mentorship.group_name || this.currentGroup?.name }], {
+            name: mentorship.title
+        });
+        downloadCalendar(t('mentorships.icsFilename', { id: String(mentorship.id) }), calendar);
+    }
+
+    async updateRsvp(groupId, mentorship, button, attending) {
+        try {
+            button.disabled = true;
+            const response = attending
+                ? await api.rsvpMentorship(mentorship.id)
+                : await api.cancelRsvp(mentorship.id);
+
+            if (response.success) {
+                const rsvp = response.data.mentorship.my_rsvp;
+                if (rsvp === 'going') {
+                    ui.showToast(t('mentorships.toasts.rsvpConfirmed'), 'success');
+                } else if (rsvp === 'waitlisted') {
+                    ui.showToast(t('mentorships.toasts.waitlisted'), 'info');
+                } else {
+                    ui.showToast(t('mentorships.toasts.rsvpCancelled'), 'success');
+                }
+                await this.loadMentorships(groupId);
+            }
+        } catch (error) {
+            handleApiError(error);
+            button.disabled = false;
+        }
+    }
+
+    async deleteMaterial(groupId, material, button) {
+        const confirmed = await ui.confirm({
+            title: t('materials.delete.title'),
+            message: t('materials.delete.message', { title: ui.escapeHtml(material.title) }),
+            confirmLabel: t('common.delete'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            button.disabled = true;
+            const response = await api.deleteMaterial(material.id);
+
+            if (response.success) {
+                ui.showToast(t('materials.toasts.deleted'), 'success');
+                await this.loadMaterials(groupId);
+            }
+        } catch (error) {
+            handleApiError(error);
+            button.disabled = false;
+        }
+    }
+
+    async downloadMaterial(material, button) {
+        try {
+            button.disabled = true;
+            const file = await api.downloadMaterialFile(material.id);
+            saveFile(material.file_name, file);
+        } catch (error) {
+            handleApiError(error);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // PDFs and videos open in the pane above the list, images in a
+    // lightbox. Uploaded files are fetched with the session and shown from
+    // an object URL, since the viewers can't send the Authorization header.
+    async previewMaterial(material) {
+        this.closeMaterialPreview();
+        const preview = { material, controller: new AbortController(), objectUrl: null, modal: null };
+
+        let container;
+        if (getMaterialType(material) === 'image') {
+            preview.modal = ui.showModal(`<div class="material-lightbox">${Templates.materialPreviewLoading()}</div>`, {
+                title: ui.escapeHtml(material.title),
+                onClose: () => this.closeMaterialPreview(preview)
+            });
+            container = preview.modal.querySelector('.material-lightbox');
+        } else {
+            const pane = document.getElementById('material-preview');
+            if (!pane) return;
+            pane.innerHTML = Templates.materialPreview(material, Templates.materialPreviewLoading());
+            pane.classList.remove('hidden');
+            pane.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            container = pane.querySelector('.material-preview-body');
+        }
+        // Tracked only once it is on screen
+        this.materialPreview = preview;
+
+        try {
+            let src = material.url;
+            if (material.file_name) {
+                const file = await api.downloadMaterialFile(material.id, { signal: preview.controller.signal });
+                if (preview.controller.signal.aborted) return;
+                preview.objectUrl = URL.createObjectURL(file);
+                src = preview.objectUrl;
+            }
+            container.innerHTML = Templates.materialViewer(material, src);
+        } catch (error) {
+            handleApiError(error);
+            this.closeMaterialPreview(preview);
+        }
+    }
+
+    // Pass a preview to close it only if it is still the open one
+    closeMaterialPreview(preview = this.materialPreview) {
+        if (!preview || preview !== this.materialPreview) return;
+        this.materialPreview = null;
+
+        preview.controller.abort();
+        if (preview.objectUrl) {
+            URL.revokeObjectURL(preview.objectUrl);
+        }
+
+        if (preview.modal) {
+            ui.hideModal(preview.modal);
+        } else {
+            const pane = document.getElementById('material-preview');
+            if (pane) {
+                pane.classList.add('hidden');
+                pane.innerHTML = '';
+            }
+        }
+    }
+
+    async leaveGroup(group, button) {
+        // The owner can't just walk away from a group
+        if (auth.canManageGroup(group)) {
+            const openSettings = await ui.confirm({
+                title: t('groups.leaveOwner.title'),
+                message: t('groups.leaveOwner.message'),
+                confirmLabel: t('groups.leaveOwner.confirm')
+            });
+            if (openSettings) {
+                this.navigate(`/group/${group.id}/settings`);
+            }
+            return;
+        }
+
+        const confirmed = await ui.confirm({
+            title: t('groups.leave'),
+            message: t('groups.leaveConfirm', { name: ui.escapeHtml(group.name) }),
+            confirmLabel: t('groups.leave'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            button.disabled = true;
+            const response = await api.leaveGroup(group.id);
+
+            if (response.success) {
+                ui.showToast(t('groups.toasts.left', { name: ui.escapeHtml(group.name) }), 'success');
+
+                if (this.currentRoute === '/dashboard') {
+                    await this.loadDashboardData();
+                } else {
+                    this.navigate('/dashboard', true);
+                }
+            }
+        } catch (error) {
+            handleApiError(error);
+            button.disabled = false;
+        }
+    }
+
+    setupGroupSettingsHandlers(group) {
+        // Logout button
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                auth.logout();
+            });
+        }
+
+        // Edit name and description
+        const form = document.getElementById('group-settings-form');
+        if (form) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                const formData = new FormData(form);
+                const data = Object.fromEntries(formData.entries());
+
+                try {
+                    ui.clearFormErrors(form);
+                    ui.setFormLoading(form, true);
+                    const response = await api.updateGroup(group.id, data);
+
+                    if (response.success) {
+                        Object.assign(group, response.data.group);
+                        ui.showToast(t('groups.toasts.updated'), 'success');
+                    }
+                } catch (error) {
+                    handleApiError(error, true, form);
+                } finally {
+                    ui.setFormLoading(form, false);
+                }
+            });
+        }
+
+        // Rotate the join code
+        const regenerateBtn = document.getElementById('regenerate-join-code-btn');
+        if (regenerateBtn) {
+            regenerateBtn.addEventListener('click', async () => {
+                const confirmed = await ui.confirm({
+                    title: t('settings.joinCode.regenerate'),
+                    message: t('settings.joinCode.confirm'),
+                    confirmLabel: t('settings.joinCode.regenerate')
+                });
+                if (!confirmed) return;
+
+                try {
+                    regenerateBtn.disabled = true;
+                    const response = await api.regenerateJoinCode(group.id);
+
+                    if (response.success) {
+                        group.join_code = response.data.group.join_code;
+                        const codeEl = document.getElementById('group-join-code');
+                        if (codeEl) codeEl.textContent = group.join_code;
+                        ui.showToast(t('settings.joinCode.regenerated'), 'success');
+                    }
+                } catch (error) {
+                    handleApiError(error);
+                } finally {
+                    regenerateBtn.disabled = false;
+                }
+            });
+        }
+
+        // Delete the group
+        const deleteBtn = document.getElementById('delete-group-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', async () => {
+                const confirmed = await ui.confirm({
+                    title: t('settings.danger.delete'),
+                    message: t('settings.danger.confirm', { name: ui.escapeHtml(group.name) }),
+                    confirmLabel: t('settings.danger.delete'),
+                    danger: true
+                });
+                if (!confirmed) return;
+
+                try {
+                    deleteBtn.disabled = true;
+                    const response = await api.deleteGroup(group.id);
+
+                    if (response.success) {
+                        ui.showToast(t('groups.toasts.deleted'), 'success');
+                        this.navigate('/dashboard', true);
+                    }
+                } catch (error) {
+                    handleApiError(error);
+                    deleteBtn.disabled = false;
+                }
+            });
+        }
+    }
+
+    setupMemberHandlers(groupId) {
+        const membersList = document.getElementById('members-list');
+        if (!membersList) return;
+
+        const findMember = (userId) => (this.currentMembers || []).find(m => String(m.user_id) === String(userId));
+
+        // Promote/demote
+        membersList.addEventListener('change', async (e) => {
+            const select = e.target.closest('[data-member-role]');
+            if (!select) return;
+
+            try {
+                select.disabled = true;
+                await api.updateMemberRole(groupId, select.dataset.memberRole, select.value);
+                ui.showToast(t('members.toasts.roleUpdated'), 'success');
+            } catch (error) {
+                handleApiError(error);
+            } finally {
+                await this.loadMembers(groupId);
+            }
+        });
+
+        membersList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-member-action]');
+            if (!button) return;
+
+            const member = findMember(button.dataset.userId);
+            if (!member) return;
+
+            if (button.dataset.memberAction === 'remove') {
+                const confirmed = await ui.confirm({
+                    title: t('members.remove.title'),
+                    message: t('members.remove.message', { name: ui.escapeHtml(member.name) }),
+                    confirmLabel: t('common.remove'),
+                    danger: true
+                });
+                if (!confirmed) return;
+
+                try {
+                    button.disabled = true;
+                    await api.removeMember(groupId, member.user_id);
+                    ui.showToast(t('members.toasts.removed'), 'success');
+                    await this.loadMembers(groupId);
+                } catch (error) {
+                    handleApiError(error);
+                    button.disabled = false;
+                }
+            } else if (button.dataset.memberAction === 'transfer') {
+                const confirmed = await ui.confirm({
+                    title: t('members.transfer'),
+                    message: t('members.transferConfirm', { name: ui.escapeHtml(member.name) }),
+                    confirmLabel: t('members.transferAction'),
+                    danger: true
+                });
+                if (!confirmed) return;
+
+                try {
+                    button.disabled = true;
+                    await api.transferOwnership(groupId, member.user_id);
+                    ui.showToast(t('members.toasts.transferred'), 'success');
+                    // Permissions changed everywhere on the page
+                    this.handleRoute(this.getCurrentPath());
+                } catch (error) {
+                    handleApiError(error);
+                    button.disabled = false;
+                }
+            }
+        });
     }
 
+    // The open tab is kept in `?tab=` (the first tab is the default), so
+    // links and reloads land on it
     setupTabNavigation() {
         const tabs = document.querySelectorAll('.tab');
-        const contents = document.querySelectorAll('.tab-content');
 
         tabs.forEach(tab => {
             tab.addEventListener('click', () => {
-                const targetTab = tab.dataset.tab;
-                
-                // Update active states
-                tabs.forEach(t => t.classList.remove('active'));
-                contents.forEach(c => c.classList.remove('active'));
-                
-                tab.classList.add('active');
-                document.getElementById(`${targetTab}-tab`).classList.add('active');
+                this.activateTab(tab.dataset.tab);
+                this.updateQuery({ tab: tab === tabs[0] ? null : tab.dataset.tab });
             });
         });
+
+        const initial = this.currentQuery.get('tab');
+        if (initial) {
+            this.activateTab(initial);
+        }
+    }
+
+    activateTab(name) {
+        const target = document.getElementById(`${name}-tab`);
+        if (!target || !target.classList.contains('tab-content')) return;
+
+        document.querySelectorAll('.tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.toggle('active', content === target);
+        });
     }
 
     setupChatHandlers(groupId) {
         const messageInput = document.getElementById('message-input');
         const sendBtn = document.getElementById('send-message-btn');
 
-        const sendMessage = async () => {
+        const sendMessage = () => {
             const content = messageInput.value.trim();
             if (!content) return;
 
-            try {
-                sendBtn.disabled = true;
-                await api.sendMessage(groupId, content);
-                messageInput.value = '';
-                
-                // Refresh messages immediately
-                await ui.refreshChatMessages(groupId);
-            } catch (error) {
-                handleApiError(error);
-            } finally {
-                sendBtn.disabled = false;
-            }
+            // Shown right away; failures stay in the list with a retry action
+            messageInput.value = '';
+            ui.sendChatMessage(groupId, content);
         };
 
         if (sendBtn) {
@@ -477,64 +1282,286 @@ class Router {
 
     // Data Loading Methods
     async loadDashboardData() {
-        try {
-            const response = await api.getGroups();
-            if (response.success) {
-                const container = document.getElementById('groups-container');
-                if (container) {
-                    container.innerHTML = Templates.groupsList(response.data.groups);
-                }
+        await Promise.all([
+            this.loadDashboardGroups(),
+            this.loadDashboardMentorships()
+        ]);
+    }
+
+    async loadDashboardGroups() {
+        const renderGroups = (response) => {
+            const container = document.getElementById('groups-container');
+            if (container && response.success) {
+                this.dashboardGroups = response.data.groups;
+                container.innerHTML = Templates.groupsList(response.data.groups);
             }
+        };
+
+        try {
+            // Cached groups render at once; a changed list re-renders when revalidated
+            const response = await api.getGroups({
+                signal: this.getRouteSignal(),
+                onRevalidate: renderGroups
+            });
+            renderGroups(response);
         } catch (error) {
+            if (isAbortError(error)) return;
+
             const container = document.getElementById('groups-container');
             if (container) {
-                container.innerHTML = '<div class="text-center"><p>Erro ao carregar grupos</p></div>';
+                container.innerHTML = `<div class="text-center"><p>${t('errors.groups')}</p></div>`;
+            }
+        }
+    }
+
+    // Sessions from all groups for the visible calendar range, plus the
+    // next week for the upcoming list
+    async loadDashboardMentorships() {
+        const { start, end } = getCalendarRange(this.dashboardView.view, this.dashboardView.date);
+        const now = new Date();
+        const weekAhead = addDays(now, 7);
+        // Grid days are in the user's zone, which may be a day off the
+        // browser's at either edge
+        const range = {
+            from: addDays(start < now ? start : now, -1),
+            to: addDays(end > weekAhead ? end : weekAhead, 1)
+        };
+
+        // Paging the calendar replaces the previous load, so a late answer
+        // for another range can't overwrite the grid. Leaving the route
+        // cancels it too.
+        this.dashboardMentorshipsController?.abort();
+        const controller = new AbortController();
+        this.dashboardMentorshipsController = controller;
+        const routeSignal = this.getRouteSignal();
+        const signal = routeSignal ? AbortSignal.any([routeSignal, controller.signal]) : controller.signal;
+
+        const renderMentorships = (response) => {
+            if (signal.aborted) return;
+
+            const container = document.getElementById('dashboard-mentorships');
+            if (container && response.success) {
+                this.dashboardMentorships = response.data.mentorships;
+                container.innerHTML = Templates.upcomingMentorships(response.data.mentorships)
+                    + Templates.mentorshipsView(response.data.mentorships, this.dashboardView, {
+                        showGroup: true,
+                        views: ['month', 'week']
+                    });
+            }
+        };
+
+        try {
+            const response = await api.getUserMentorships(range, {
+                signal,
+                onRevalidate: renderMentorships
+            });
+            renderMentorships(response);
+        } catch (error) {
+            if (isAbortError(error)) return;
+
+            const container = document.getElementById('dashboard-mentorships');
+            if (container) {
+                container.innerHTML = `<div class="text-center"><p>${t('errors.mentorships')}</p></div>`;
             }
         }
     }
 
     async loadGroupData(groupId) {
+        const signal = this.getRouteSignal();
+
         // Load all group data in parallel
         try {
-            const [mentorshipsRes, materialsRes, messagesRes] = await Promise.allSettled([
-                api.getMentorships(groupId),
-                api.getMaterials(groupId),
-                api.getMessages(groupId, 30)
+            const [messagesRes] = await Promise.allSettled([
+                api.getMessages(groupId, 30, { signal }),
+                this.loadMentorships(groupId),
+                this.loadMaterials(groupId),
+                this.loadMembers(groupId)
             ]);
 
-            // Load mentorships
+            // We navigated away while these were loading
+            if (signal?.aborted) return;
+
+            // Load messages
+            if (messagesRes.status === 'fulfilled' && messagesRes.value.success) {
+                const { messages, has_more } = messagesRes.value.data;
+                ui.renderChatMessages(messages, has_more ?? messages.length >= 30);
+            }
+        } catch (error) {
+            console.error('Error loading group data:', error);
+        }
+    }
+
+    async loadMentorships(groupId) {
+        const renderMentorships = (response) => {
+            if (response.success) {
+                this.currentMentorships = response.data.mentorships;
+                this.renderMentorships();
+            }
+        };
+
+        try {
+            const response = await api.getMentorships(groupId, {
+                signal: this.getRouteSignal(),
+                onRevalidate: renderMentorships
+            });
+            renderMentorships(response);
+        } catch (error) {
+            if (isAbortError(error)) return;
+
             const mentorshipsList = document.getElementById('mentorships-list');
             if (mentorshipsList) {
-                if (mentorshipsRes.status === 'fulfilled' && mentorshipsRes.value.success) {
-                    mentorshipsList.innerHTML = Templates.mentorshipsList(mentorshipsRes.value.data.mentorships);
-                } else {
-                    mentorshipsList.innerHTML = '<p>Erro ao carregar mentorias</p>';
+                mentorshipsList.innerHTML = `<p>${t('errors.mentorships')}</p>`;
+            }
+        }
+    }
+
+    // Re-render from what is already loaded, e.g. after a view change
+    renderMentorships() {
+        const mentorshipsList = document.getElementById('mentorships-list');
+        if (mentorshipsList) {
+            mentorshipsList.innerHTML = Templates.mentorshipsView(this.currentMentorships, this.mentorshipView);
+        }
+    }
+
+    // Materials tab filters from the URL (?q=&tag=&category=&sort=)
+    readMaterialFilters() {
+        const query = this.currentQuery;
+        return {
+            q: query.get('q') || '',
+            tag: query.get('tag') || '',
+            category: MATERIAL_CATEGORIES.includes(query.get('category')) ? query.get('category') : '',
+            sort: MATERIAL_SORTS.includes(query.get('sort')) ? query.get('sort') : 'date'
+        };
+    }
+
+    setMaterialFilters(changes) {
+        clearTimeout(this.searchTimer);
+        this.materialFilters = { ...this.materialFilters, ...changes };
+
+        const { q, tag, category, sort } = this.materialFilters;
+        this.updateQuery({ q: q.trim(), tag, category, sort: sort === 'date' ? null : sort });
+        this.renderMaterials();
+    }
+
+    // Filtered list, plus the filter controls (the tag choices depend on
+    // the loaded materials)
+    renderMaterials() {
+        const filters = this.materialFilters;
+        const materialsList = document.getElementById('materials-list');
+        if (materialsList) {
+            materialsList.innerHTML = Templates.materialsList(
+                filterMaterials(this.currentMaterials, filters),
+                this.currentGroup,
+                { filtered: hasFilters(filters) }
+            );
+        }
+
+        const form = document.getElementById('materials-filters');
+        if (form) {
+            form.elements.tag.innerHTML = Templates.materialTagOptions(listTags(this.currentMaterials), filters.tag);
+            form.elements.category.value = filters.category;
+            form.elements.sort.value = filters.sort;
+            // Don't touch the box while the user is typing in it
+            if (form.elements.q.value.trim() !== filters.q.trim()) {
+                form.elements.q.value = filters.q;
+            }
+        }
+    }
+
+    // Also used on its own after material changes, so the rest of the
+    // group page doesn't reload
+    async loadMaterials(groupId) {
+        const renderMaterials = (response) => {
+            const materialsList = document.getElementById('materials-list');
+            if (materialsList && response.success) {
+                this.currentMaterials = response.data.materials;
+                this.renderMaterials();
+
+                // The previewed material was deleted or points somewhere else now
+                const previewed = this.materialPreview?.material;
+                const current = previewed && this.currentMaterials.find(m => m.id === previewed.id);
+                const changed = current && ['url', 'file_name', 'file_size'].some(field => current[field] !== previewed[field]);
+                if (previewed && (!current || changed)) {
+                    this.closeMaterialPreview();
                 }
             }
+        };
+
+        try {
+            const response = await api.getMaterials(groupId, {
+                signal: this.getRouteSignal(),
+                onRevalidate: renderMaterials
+            });
+            renderMaterials(response);
+        } catch (error) {
+            if (isAbortError(error)) return;
 
-            // Load materials
             const materialsList = document.getElementById('materials-list');
             if (materialsList) {
-                if (materialsRes.status === 'fulfilled' && materialsRes.value.success) {
-                    materialsList.innerHTML = Templates.materialsList(materialsRes.value.data.materials);
-                } else {
-                    materialsList.innerHTML = '<p>Erro ao carregar materiais</p>';
-                }
+                materialsList.innerHTML = `<p>${t('errors.materials')}</p>`;
             }
+        }
+    }
 
-            // Load messages
-            if (messagesRes.status === 'fulfilled' && messagesRes.value.success) {
-                ui.renderChatMessages(messagesRes.value.data.messages);
+    async loadMembers(groupId) {
+        const renderMembers = (response) => {
+            const membersList = document.getElementById('members-list');
+            if (membersList && response.success) {
+                this.currentMembers = response.data.members;
+                membersList.innerHTML = Templates.membersList(response.data.members, this.currentGroup);
             }
+        };
+
+        try {
+            const response = await api.getMembers(groupId, {
+                signal: this.getRouteSignal(),
+                onRevalidate: renderMembers
+            });
+            renderMembers(response);
         } catch (error) {
-            console.error('Error loading group data:', error);
+            if (isAbortError(error)) return;
+
+            const membersList = document.getElementById('members-list');
+            if (membersList) {
+                membersList.innerHTML = `<p>${t('errors.members')}</p>`;
+            }
         }
     }
 
+    handleQueueReplayed(item, response) {
+        const groupId = item.meta?.groupId;
+        if (!groupId || this.currentRoute !== `/group/${groupId}`) return;
+
+        if (item.meta.kind === 'message') {
+            if (response.success && response.data.message) {
+                ui.resolvePendingChatMessage(item.meta.clientId, response.data.message);
+            }
+        } else if (item.meta.kind === 'mentorship') {
+            this.loadMentorships(groupId);
+        } else if (item.meta.kind === 'material') {
+            this.loadMaterials(groupId);
+        } else {
+            this.loadGroupData(groupId);
+        }
+    }
+
+    // A queued chat message the server rejected shows as failed, with the
+    // chat's retry/discard buttons
+    handleQueueFailed(item) {
+        if (item.meta?.kind !== 'message' || this.currentRoute !== `/group/${item.meta.groupId}`) return;
+        ui.updateChatMessage(item.meta.clientId, { status: 'failed' });
+    }
+
+    // Discarded from the queue panel: the message will never be sent
+    handleQueueDiscarded(item) {
+        if (item.meta?.kind !== 'message' || this.currentRoute !== `/group/${item.meta.groupId}`) return;
+        ui.removeChatMessage(item.meta.clientId);
+    }
+
     // Modal Methods
     showCreateGroupModal() {
         const modal = ui.showModal(Templates.createGroupModal(), {
-            title: 'Criar Novo Grupo'
+            title: t('groups.createTitle')
         });
 
         const form = modal.querySelector('#create-group-form');
@@ -545,16 +1572,17 @@ class Router {
             const data = Object.fromEntries(formData.entries());
 
             try {
+                ui.clearFormErrors(form);
                 ui.setFormLoading(form, true);
                 const response = await api.createGroup(data);
                 
                 if (response.success) {
                     ui.hideModal();
-                    ui.showToast('Grupo criado com sucesso!', 'success');
+                    ui.showToast(t('groups.toasts.created'), 'success');
                     await this.loadDashboardData();
                 }
             } catch (error) {
-                handleApiError(error);
+                handleApiError(error, true, form);
             } finally {
                 ui.setFormLoading(form, false);
             }
@@ -563,7 +1591,7 @@ class Router {
 
     showJoinGroupModal() {
         const modal = ui.showModal(Templates.joinGroupModal(), {
-            title: 'Entrar no Grupo'
+            title: t('groups.join')
         });
 
         const form = modal.querySelector('#join-group-form');
@@ -574,80 +1602,335 @@ class Router {
             const data = Object.fromEntries(formData.entries());
 
             try {
+                ui.clearFormErrors(form);
                 ui.setFormLoading(form, true);
                 const response = await api.joinGroup(data.joinCode);
                 
                 if (response.success) {
                     ui.hideModal();
-                    ui.showToast('Entrou no grupo com sucesso!', 'success');
+                    ui.showToast(t('groups.toasts.joined'), 'success');
                     await this.loadDashboardData();
                 }
             } catch (error) {
-                handleApiError(error);
+                handleApiError(error, true, form);
             } finally {
                 ui.setFormLoading(form, false);
             }
         });
     }
 
-    showCreateMentorshipModal(groupId) {
-        const modal = ui.showModal(Templates.createMentorshipModal(), {
-            title: 'Agendar Nova Mentoria'
-        });
+    // Pass a mentorship to edit it instead of scheduling a new one
+    // `scope` is 'series' when editing every upcoming session of a series
+    showCreateMentorshipModal(groupId, mentorship = null, scope = 'occurrence') {
+        let title = t('mentorships.form.createTitle');
+        if (mentorship) {
+            title = scope === 'series' ? t('mentorships.form.editSeriesTitle') : t('mentorships.form.editTitle');
+        }
+        const modal = ui.showModal(Templates.createMentorshipModal(mentorship), { title });
 
         const form = modal.querySelector('#create-mentorship-form');
+        this.setupRecurrenceFields(form);
+
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
             
             const formData = new FormData(form);
-            const data = Object.fromEntries(formData.entries());
+            const { repeat, interval, ends, count, until, weekdays, ...data } = Object.fromEntries(formData.entries());
+            // Blank means no limit
+            data.capacity = data.capacity ? Number(data.capacity) : null;
+            // The form shows the user's zone; send the instant and the zone
+            // so series keep their wall-clock time across DST changes.
+            // Edits leave the date alone unless it was changed, so sessions
+            // that already started can still be renamed or resized
+            const timeZone = getUserTimeZone();
+            if (mentorship && data.scheduled_date === toZonedInputValue(mentorship.scheduled_date, timeZone)) {
+                delete data.scheduled_date;
+            } else {
+                if (data.scheduled_date) {
+                    data.scheduled_date = zonedTimeToUtc(data.scheduled_date, timeZone).toISOString();
+                }
+                data.timezone = timeZone;
+            }
+
+            if (repeat) {
+                data.recurrence = {
+                    frequency: 'weekly',
+                    interval: Number(interval),
+                    weekdays: formData.getAll('weekdays').map(Number),
+                    ...(ends === 'until' ? { until } : { count: Number(count) })
+                };
+            }
 
             try {
+                ui.clearFormErrors(form);
                 ui.setFormLoading(form, true);
-                const response = await api.createMentorship(groupId, data);
+                const response = mentorship
+                    ? await api.updateMentorship(mentorship.id, data, scope)
+                    : await api.createMentorship(groupId, data);
                 
+                if (response.queued) {
+                    ui.hideModal();
+                } else if (response.success) {
+                    ui.hideModal();
+                    ui.showToast(this.mentorshipSavedMessage(mentorship, response.data), 'success');
+                    await this.loadMentorships(groupId);
+                }
+            } catch (error) {
+                handleApiError(error, true, form);
+            } finally {
+                ui.setFormLoading(form, false);
+            }
+        });
+    }
+
+    setupRecurrenceFields(form) {
+        const repeat = form.querySelector('#mentorship-repeat');
+        const fields = form.querySelector('#recurrence-fields');
+        if (!repeat || !fields) return;
+
+        repeat.addEventListener('change', () => {
+            fields.classList.toggle('hidden', !repeat.checked);
+
+            // Start with the weekday of the first session
+            const date = form.querySelector('#mentorship-date').value;
+            const weekdays = [...form.querySelectorAll('input[name="weekdays"]')];
+            if (repeat.checked && date && !weekdays.some(input => input.checked)) {
+                const day = new Date(date).getDay();
+                weekdays.forEach(input => { input.checked = Number(input.value) === day; });
+            }
+        });
+    }
+
+    mentorshipSavedMessage(mentorship, data) {
+        if (!mentorship) {
+            return t('mentorships.toasts.created', { count: data.mentorships?.length || 1 });
+        }
+        return t('mentorships.toasts.updated', { count: data.updated_count || 1 });
+    }
+
+    // For sessions of a recurring series, ask whether an action applies to
+    // this session only or to the whole series. `action` is 'edit' or
+    // 'cancel'. Resolves to null if dismissed.
+    async chooseMentorshipScope(mentorship, action) {
+        if (!mentorship.series_id) return 'occurrence';
+
+        return ui.choose({
+            title: t(`mentorships.scope.${action}`),
+            message: t('mentorships.scope.message', { title: ui.escapeHtml(mentorship.title) }),
+            choices: [
+                { value: 'occurrence', label: t('mentorships.scope.occurrence') },
+                { value: 'series', label: t('mentorships.scope.series') }
+            ]
+        });
+    }
+
+    showPreferencesModal() {
+        const modal = ui.showModal(Templates.preferencesModal(auth.user), {
+            title: t('preferences.title')
+        });
+
+        const form = modal.querySelector('#preferences-form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const data = Object.fromEntries(new FormData(form).entries());
+
+            try {
+                ui.clearFormErrors(form);
+                ui.setFormLoading(form, true);
+                const response = await api.updateProfile(data);
+
                 if (response.success) {
+                    auth.updateUser(response.data.user);
                     ui.hideModal();
-                    ui.showToast('Mentoria agendada com sucesso!', 'success');
-                    await this.loadGroupData(groupId);
+                    ui.showToast(t('preferences.saved'), 'success');
+                    // Dates and text on the page depend on both
+                    await this.handleRoute(this.getCurrentPath());
                 }
             } catch (error) {
-                handleApiError(error);
+                handleApiError(error, true, form);
             } finally {
                 ui.setFormLoading(form, false);
             }
         });
     }
 
-    showCreateMaterialModal(groupId) {
-        const modal = ui.showModal(Templates.createMaterialModal(), {
-            title: 'Adicionar Novo Material'
+    async showCalendarFeedModal() {
+        let response;
+        try {
+            response = await api.getCalendarFeed();
+        } catch (error) {
+            handleApiError(error);
+            return;
+        }
+
+        const modal = ui.showModal(Templates.calendarFeedModal(response.data.feed.url), {
+            title: t('calendarFeed.title')
+        });
+
+        const urlInput = modal.querySelector('#calendar-feed-url');
+        urlInput.addEventListener('focus', () => urlInput.select());
+
+        modal.querySelector('#copy-calendar-feed-btn').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(urlInput.value);
+                ui.showToast(t('calendarFeed.copied'), 'success');
+            } catch (error) {
+                // Clipboard blocked (e.g. not a secure context): let the user copy by hand
+                urlInput.focus();
+                ui.showToast(t('calendarFeed.copyManually'), 'info');
+            }
+        });
+
+        const resetBtn = modal.querySelector('#reset-calendar-feed-btn');
+        resetBtn.addEventListener('click', async () => {
+            const confirmed = await ui.confirm({
+                title: t('calendarFeed.reset'),
+                message: t('calendarFeed.resetConfirm'),
+                confirmLabel: t('calendarFeed.reset'),
+                danger: true
+            });
+            if (!confirmed) return;
+
+            try {
+                resetBtn.disabled = true;
+                const reset = await api.resetCalendarFeed();
+                if (reset.success) {
+                    ui.hideModal(modal);
+                    ui.showToast(t('calendarFeed.resetDone'), 'success');
+                    this.showCalendarFeedModal();
+                }
+            } catch (error) {
+                handleApiError(error);
+                resetBtn.disabled = false;
+            }
+        });
+    }
+
+    // Pass a material to edit it instead of adding a new one
+    showCreateMaterialModal(groupId, material = null) {
+        // Closing the modal cancels an upload in progress
+        const controller = new AbortController();
+        const modal = ui.showModal(Templates.createMaterialModal(material), {
+            title: material ? t('materials.form.editTitle') : t('materials.form.createTitle'),
+            onClose: () => controller.abort()
         });
 
         const form = modal.querySelector('#create-material-form');
+        const progress = form.querySelector('#material-upload-progress');
+
+        form.querySelectorAll('input[name="source"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const isFile = form.elements.source.value === 'file';
+                form.querySelector('#material-link-fields').classList.toggle('hidden', isFile);
+                form.querySelector('#material-file-fields').classList.toggle('hidden', !isFile);
+            });
+        });
+
+        // Catch files over the limits before uploading them
+        form.querySelector('#material-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            const problem = file && checkUpload(file);
+            // Only the file's error; the other fields keep theirs
+            form.querySelector('#file-error').textContent = '';
+            e.target.classList.remove('error');
+            if (problem) {
+                ui.showFormErrors(form, { file: this.uploadErrorMessage(problem) });
+            }
+        });
+
+        const showProgress = ({ loaded, total }) => {
+            const percent = total > 0 ? Math.round((loaded / total) * 100) : 100;
+            progress.classList.remove('hidden');
+            progress.querySelector('progress').value = percent;
+            progress.querySelector('small').textContent = t('materials.form.uploading', { percent });
+        };
+
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
             
             const formData = new FormData(form);
-            const data = Object.fromEntries(formData.entries());
+            const { source, url, file, ...data } = Object.fromEntries(formData.entries());
+            // An empty file input still submits a nameless, empty File
+            const upload = source === 'file' && file?.name ? file : null;
+
+            ui.clearFormErrors(form);
+            if (source === 'file' && !upload && !material?.file_name) {
+                ui.showFormErrors(form, { file: this.uploadErrorMessage('required') });
+                return;
+            }
+            const problem = upload && checkUpload(upload);
+            if (problem) {
+                ui.showFormErrors(form, { file: this.uploadErrorMessage(problem) });
+                return;
+            }
+
+            data.tags = parseTags(data.tags);
+            if (data.tags.length > MAX_TAGS) {
+                ui.showFormErrors(form, { tags: t('materials.form.tooManyTags', { max: MAX_TAGS }) });
+                return;
+            }
+            if (data.tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+                ui.showFormErrors(form, { tags: t('materials.form.tagTooLong', { max: MAX_TAG_LENGTH }) });
+                return;
+            }
+
+            if (source === 'link' && url.trim() && !isWebUrl(url.trim())) {
+                ui.showFormErrors(form, { url: t('materials.form.invalidUrl') });
+                return;
+            }
+
+            // Keeping the current file only updates the text fields
+            if (source === 'link') {
+                data.url = url;
+            }
+
+            let body = data;
+            if (upload) {
+                // Multipart takes the tags comma-separated
+                body = new FormData();
+                Object.entries(data).forEach(([name, value]) => {
+                    body.append(name, Array.isArray(value) ? value.join(',') : value);
+                });
+                body.append('file', upload);
+            }
+            const uploadOptions = { onUploadProgress: showProgress, signal: controller.signal };
 
             try {
                 ui.setFormLoading(form, true);
-                const response = await api.createMaterial(groupId, data);
+                let response;
+                if (upload) {
+                    response = material
+                        ? await api.replaceMaterialFile(material.id, body, uploadOptions)
+                        : await api.uploadMaterial(groupId, body, uploadOptions);
+                } else {
+                    response = material
+                        ? await api.updateMaterial(material.id, body)
+                        : await api.createMaterial(groupId, body);
+                }
                 
-                if (response.success) {
+                if (response.queued) {
+                    ui.hideModal();
+                } else if (response.success) {
                     ui.hideModal();
-                    ui.showToast('Material adicionado com sucesso!', 'success');
-                    await this.loadGroupData(groupId);
+                    ui.showToast(material ? t('materials.toasts.updated') : t('materials.toasts.created'), 'success');
+                    await this.loadMaterials(groupId);
                 }
             } catch (error) {
-                handleApiError(error);
+                handleApiError(error, true, form);
             } finally {
                 ui.setFormLoading(form, false);
+                progress.classList.add('hidden');
             }
         });
     }
 
+    uploadErrorMessage(problem) {
+        return problem === 'tooLarge'
+            ? t('materials.upload.tooLarge', { size: ui.formatFileSize(MAX_UPLOAD_SIZE) })
+            : t(`materials.upload.${problem}`);
+    }
+
     // Cleanup
     cleanup() {
         ui.cleanup();
@@ -0,0 +1,21 @@
+// Text Search
+// Matching shared by the materials filter and the mock search endpoint:
+// every word of the query must appear, ignoring case and accents.
+const MIN_QUERY_LENGTH = 2;
+
+// "Cálculo" -> "calculo"
+function normalizeText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function getQueryWords(query) {
+    return normalizeText(query).split(/\s+/).filter(Boolean);
+}
+
+// True when every word appears somewhere in the texts
+function matchesWords(words, ...texts) {
+    const text = normalizeText(texts.join(' '));
+    return words.every(word => text.includes(word));
+}
+
+export { MIN_QUERY_LENGTH, normalizeText, getQueryWords, matchesWords };
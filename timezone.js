@@ -0,0 +1,140 @@
+// Time Zone Helpers
+// Mentorships are stored as UTC instants plus the IANA zone they were
+// scheduled in. These helpers convert between UTC and wall-clock time in
+// a given zone using Intl, so they work the same in the browser and in the
+// mock backend.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let userTimeZone = null;
+
+function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The signed-in user's zone; the browser's until a profile sets one
+function setUserTimeZone(timeZone) {
+    userTimeZone = isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+function getUserTimeZone() {
+    return userTimeZone || getBrowserTimeZone();
+}
+
+// Wall-clock fields of `date` in `timeZone`
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+    }).formatToParts(new Date(date));
+
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+    return {
+        year: Number(values.year),
+        month: Number(values.month),
+        day: Number(values.day),
+        hour: Number(values.hour),
+        minute: Number(values.minute),
+        second: Number(values.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday)
+    };
+}
+
+// Minutes to add to UTC to get wall-clock time in `timeZone` at `date`
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+}
+
+// 'YYYY-MM-DDTHH:mm' wall-clock time in `timeZone` -> Date. Times skipped
+// by a DST change move forward by the gap (02:30 -> 03:30) and repeated
+// ones take their first occurrence, whichever side of UTC the zone is on.
+function zonedTimeToUtc(value, timeZone) {
+    const [datePart, timePart = '00:00'] = String(value).split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute] = timePart.split(':').map(Number);
+
+    // Offsets in effect a day either side cover any change near this time
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetBefore = getTimeZoneOffset(guess - DAY_MS, timeZone);
+    const offsetAfter = getTimeZoneOffset(guess + DAY_MS, timeZone);
+
+    const candidates = [guess - offsetBefore * 60000, guess - offsetAfter * 60000]
+        .filter(time => getTimeZoneOffset(time, timeZone) * 60000 === guess - time)
+        .sort((a, b) => a - b);
+
+    // No candidate: the time falls in a gap. With the offset from before
+    // the change it lands that far past the gap's start.
+    return new Date(candidates.length > 0 ? candidates[0] : guess - offsetBefore * 60000);
+}
+
+// Date -> 'YYYY-MM-DDTHH:mm' in `timeZone`, for datetime-local inputs
+function toZonedInputValue(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+// Whether two zones show a different wall-clock time at `date`
+function zonesDiffer(date, zoneA, zoneB) {
+    if (!zoneA || !zoneB || zoneA === zoneB) return false;
+    return getTimeZoneOffset(date, zoneA) !== getTimeZoneOffset(date, zoneB);
+}
+
+// "America/Sao Paulo (GMT-3)"
+function formatTimeZoneName(timeZone, date = new Date()) {
+    let offset = '';
+    try {
+        offset = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+            .formatToParts(date)
+            .find(part => part.type === 'timeZoneName')?.value || '';
+    } catch (error) {
+        // shortOffset is recent; the zone name alone will do
+    }
+    const name = timeZone.replace(/_/g, ' ');
+    return offset ? `${name} (${offset})` : name;
+}
+
+function listTimeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    // Older browsers: the zones our users are in
+    return [
+        'America/Sao_Paulo', 'America/Manaus', 'America/Fortaleza', 'America/Noronha',
+        'America/Rio_Branco', 'America/New_York', 'America/Mexico_City', 'America/Bogota',
+        'America/Argentina/Buenos_Aires', 'Europe/Lisbon', 'Europe/Madrid', 'Europe/London', 'UTC'
+    ];
+}
+
+export {
+    getBrowserTimeZone,
+    isValidTimeZone,
+    setUserTimeZone,
+    getUserTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    toZonedInputValue,
+    zonesDiffer,
+    formatTimeZoneName,
+    listTimeZones
+};
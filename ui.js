@@ -1,6 +1,29 @@
 // UI Components and Template Management
 import { auth, AuthForms } from './auth.js';
 import { api, handleApiError, formatDate, formatDateTime, formatTime } from './api.js';
+import { chatSocket } from './realtime.js';
+import { getCalendarRange, groupByDay, dayKey, toZonedDay, isSameDay, isUpcoming } from './calendar.js';
+import {
+    getUserTimeZone,
+    getBrowserTimeZone,
+    toZonedInputValue,
+    zonesDiffer,
+    formatTimeZoneName,
+    listTimeZones
+} from './timezone.js';
+import { t, getLocale, listLocales, formatNumber, getWeekdayNames } from './i18n.js';
+import { MAX_UPLOAD_SIZE, UPLOAD_ACCEPT } from './files.js';
+import {
+    MATERIAL_CATEGORIES,
+    MAX_TAGS,
+    MATERIAL_SORTS,
+    isWebUrl,
+    getMaterialType,
+    getVideoEmbedUrl,
+    isViewable,
+    getLinkHost
+} from './materials.js';
+import { MIN_QUERY_LENGTH } from './search.js';
 
 class UIManager {
     constructor() {
@@ -8,6 +31,10 @@ class UIManager {
         this.modals = [];
         this.chatPolling = null;
         this.currentGroupId = null;
+        this.chatMessages = [];
+        this.chatHasMore = false;
+        this.chatLoadingOlder = null;
+        this.chatSocketListener = null;
         
         this.init();
     }
@@ -16,12 +43,15 @@ class UIManager {
         // Setup global event listeners
         this.setupGlobalEvents();
         this.setupToastContainer();
+        this.setupOfflineQueue();
     }
 
     setupGlobalEvents() {
-        // Toast events
+        // Toast events; `text: true` marks a plain-text message, which is
+        // escaped before rendering
         window.addEventListener('ui:toast', (e) => {
-            this.showToast(e.detail.message, e.detail.type);
+            const { message, type, text = false } = e.detail;
+            this.showToast(text ? this.escapeHtml(message) : message, type);
         });
 
         // Loading events
@@ -29,6 +59,12 @@ class UIManager {
             this.toggleLoading(e.detail.show, e.detail.message);
         });
 
+        // Server validation errors for a form; `marked` tells the sender how
+        // many of them matched a field
+        window.addEventListener('ui:form-errors', (e) => {
+            e.detail.marked = this.showFormErrors(e.detail.form, e.detail.errors);
+        });
+
         // Modal events
         window.addEventListener('ui:modal', (e) => {
             if (e.detail.action === 'show') {
@@ -58,7 +94,7 @@ class UIManager {
         toast.innerHTML = `
             <div class="toast-icon">${icon}</div>
             <div class="toast-message">${message}</div>
-            <button class="toast-close" aria-label="Fechar">×</button>
+            <button class="toast-close" aria-label="${t('common.close')}">×</button>
         `;
 
         // Add to container
@@ -102,9 +138,79 @@ class UIManager {
         return icons[type] || icons.info;
     }
 
+    // Offline queue indicator
+    setupOfflineQueue() {
+        let container = document.getElementById('offline-queue');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'offline-queue';
+            container.className = 'offline-queue hidden';
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-queue-action]');
+            if (!button) return;
+
+            const id = button.dataset.queueId;
+            if (button.dataset.queueAction === 'retry') {
+                api.retryQueuedRequest(id);
+            } else if (button.dataset.queueAction === 'discard') {
+                api.discardQueuedRequest(id);
+            }
+        });
+
+        api.client.queue.addListener(items => this.renderOfflineQueue(items));
+        window.addEventListener('online', () => this.renderOfflineQueue(api.getQueuedRequests()));
+        window.addEventListener('offline', () => this.renderOfflineQueue(api.getQueuedRequests()));
+
+        this.renderOfflineQueue(api.getQueuedRequests());
+    }
+
+    renderOfflineQueue(items) {
+        const container = document.getElementById('offline-queue');
+        if (!container) return;
+
+        if (items.length === 0 && navigator.onLine) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const statusLabels = {
+            pending: t('queue.status.pending'),
+            sending: t('queue.status.sending'),
+            failed: t('queue.status.failed')
+        };
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="offline-queue-header">
+                ${navigator.onLine ? t('queue.pendingChanges') : t('queue.offline')}
+            </div>
+            ${items.map(item => `
+                <div class="offline-queue-item offline-queue-${item.status}">
+                    <div class="offline-queue-label">${this.escapeHtml(item.meta?.label || item.endpoint)}</div>
+                    <div class="offline-queue-status">
+                        ${statusLabels[item.status] || item.status}
+                        ${item.error ? `: ${this.escapeHtml(item.error)}` : ''}
+                    </div>
+                    ${item.status === 'failed' ? `
+                        <div class="offline-queue-actions">
+                            <button class="btn btn-small btn-secondary" data-queue-action="retry" data-queue-id="${item.id}">${t('common.retry')}</button>
+                            <button class="btn btn-small btn-secondary" data-queue-action="discard" data-queue-id="${item.id}">${t('common.discard')}</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+
     // Loading Management
-    toggleLoading(show, message = 'Carregando...') {
+    toggleLoading(show, message = t('common.loading')) {
         const overlay = document.getElementById('loading-overlay');
+        if (!overlay) return;
         const messageEl = overlay.querySelector('p');
         
         if (show) {
@@ -123,7 +229,7 @@ class UIManager {
             <div class="modal" role="dialog" aria-modal="true">
                 <div class="modal-header">
                     <h2 class="modal-title">${options.title || ''}</h2>
-                    <button class="modal-close" aria-label="Fechar modal">×</button>
+                    <button class="modal-close" aria-label="${t('common.closeModal')}">×</button>
                 </div>
                 <div class="modal-body">
                     ${content}
@@ -152,7 +258,7 @@ class UIManager {
         document.addEventListener('keydown', handleEscape);
 
         document.body.appendChild(overlay);
-        this.modals.push({ overlay, handleEscape });
+        this.modals.push({ overlay, handleEscape, onClose: options.onClose });
 
         // Focus management
         const firstFocusable = overlay.querySelector('input, button, select, textarea, [tabindex]:not([tabindex="-1"])');
@@ -164,7 +270,10 @@ class UIManager {
     }
 
     hideModal(specificModal = null) {
-        const modal = specificModal || this.modals[this.modals.length - 1];
+        // Accepts the modal entry or its overlay element
+        const modal = specificModal
+            ? this.modals.find(m => m === specificModal || m.overlay === specificModal)
+            : this.modals[this.modals.length - 1];
         if (modal) {
             if (modal.overlay && modal.overlay.parentNode) {
                 modal.overlay.parentNode.removeChild(modal.overlay);
@@ -173,9 +282,70 @@ class UIManager {
                 document.removeEventListener('keydown', modal.handleEscape);
             }
             this.modals = this.modals.filter(m => m !== modal);
+            if (modal.onClose) {
+                modal.onClose();
+            }
         }
     }
 
+    // Confirmation dialog; resolves to true when the user confirms.
+    // `message` is HTML, escape any user content in it.
+    confirm({ title = t('common.confirm'), message = '', confirmLabel = t('common.confirm'), danger = false } = {}) {
+        return new Promise(resolve => {
+            let confirmed = false;
+
+            const overlay = this.showModal(`
+                <p>${message}</p>
+                <div class="flex justify-between items-center mt-3">
+                    <button type="button" class="btn btn-secondary" data-confirm="cancel">${t('common.cancel')}</button>
+                    <button type="button" class="btn ${danger ? 'btn-danger' : 'btn-primary'}" data-confirm="ok">${confirmLabel}</button>
+                </div>
+            `, {
+                title,
+                // Closing by ×, Escape or the backdrop counts as cancel
+                onClose: () => resolve(confirmed)
+            });
+
+            overlay.querySelectorAll('[data-confirm]').forEach(button => {
+                button.addEventListener('click', () => {
+                    confirmed = button.dataset.confirm === 'ok';
+                    this.hideModal(overlay);
+                });
+            });
+        });
+    }
+
+    // Like confirm, but with one button per choice; resolves to the chosen
+    // `value`, or null when the dialog is dismissed.
+    choose({ title = t('common.chooseOption'), message = '', choices = [] } = {}) {
+        return new Promise(resolve => {
+            let chosen = null;
+
+            const overlay = this.showModal(`
+                <p>${message}</p>
+                <div class="flex justify-between items-center mt-3">
+                    <button type="button" class="btn btn-secondary" data-choice-index="-1">${t('common.back')}</button>
+                    <div class="flex items-center">
+                        ${choices.map((choice, index) => `
+                            <button type="button" class="btn ${choice.danger ? 'btn-danger' : 'btn-primary'}" data-choice-index="${index}">${choice.label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            `, {
+                title,
+                onClose: () => resolve(chosen)
+            });
+
+            overlay.querySelectorAll('[data-choice-index]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const choice = choices[Number(button.dataset.choiceIndex)];
+                    chosen = choice ? choice.value : null;
+                    this.hideModal(overlay);
+                });
+            });
+        });
+    }
+
     // Form helpers
     clearFormErrors(form) {
         form.querySelectorAll('.input-error').forEach(error => {
@@ -186,13 +356,19 @@ class UIManager {
         });
     }
 
+    // Returns the number of errors shown next to a field
     showFormErrors(form, errors) {
+        let marked = 0;
         Object.entries(errors).forEach(([field, message]) => {
-            const errorElement = form.querySelector(`#${field}-error`);
-            const inputElement = form.querySelector(`#${field}`);
+            const errorElement = form.querySelector(`#${CSS.escape(field)}-error`);
+            // Modal inputs are prefixed (e.g. #group-name), so fall back to the name
+            const inputElement = form.querySelector(`#${CSS.escape(field)}`)
+                || form.querySelector(`[name="${CSS.escape(field)}"]`);
             if (errorElement) errorElement.textContent = message;
             if (inputElement) inputElement.classList.add('error');
+            if (errorElement || inputElement) marked++;
         });
+        return marked;
     }
 
     setFormLoading(form, isLoading) {
@@ -210,7 +386,86 @@ class UIManager {
         }
     }
 
-    // Chat polling
+    // Real-time chat: the socket pushes new messages, polling is only used
+    // while the socket is not connected
+    startChat(groupId) {
+        // The group's messages are already rendered, so only unsubscribe
+        this.unsubscribeChat();
+        this.currentGroupId = groupId;
+
+        this.chatSocketListener = chatSocket.addListener((event) => {
+            if (event.type === 'message') {
+                this.addChatMessage(event.message);
+            } else if (event.type === 'status') {
+                this.handleChatSocketStatus(groupId, event.status);
+            }
+        });
+
+        const container = document.querySelector('.chat-messages');
+        if (container) {
+            // Load older pages when scrolled to the top
+            container.addEventListener('scroll', () => {
+                if (container.scrollTop < 50) {
+                    this.loadOlderChatMessages(groupId);
+                }
+            });
+
+            // Retry/discard on messages that failed to send, and the button
+            // for older history (the scroll never fires when a short history
+            // doesn't fill the panel)
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-chat-action]');
+                if (!button) return;
+
+                if (button.dataset.chatAction === 'load-older') {
+                    this.loadOlderChatMessages(groupId);
+                    return;
+                }
+
+                const clientId = button.dataset.messageId;
+                if (button.dataset.chatAction === 'retry') {
+                    this.retryChatMessage(groupId, clientId);
+                } else if (button.dataset.chatAction === 'discard') {
+                    this.discardChatMessage(clientId);
+                }
+            });
+        }
+
+        // Poll until the socket confirms the subscription
+        this.startChatPolling(groupId);
+        chatSocket.subscribe(groupId);
+    }
+
+    // Leaving the group also drops its messages. Unsent ones stay in the
+    // offline queue, which sends them to their own group.
+    stopChat() {
+        this.unsubscribeChat();
+        this.chatMessages = [];
+        this.chatHasMore = false;
+        this.chatLoadingOlder = null;
+    }
+
+    unsubscribeChat() {
+        if (this.chatSocketListener) {
+            this.chatSocketListener();
+            this.chatSocketListener = null;
+        }
+        chatSocket.unsubscribe();
+        this.stopChatPolling();
+        this.currentGroupId = null;
+    }
+
+    handleChatSocketStatus(groupId, status) {
+        if (status === 'open') {
+            this.stopChatPolling();
+            // Catch up on anything sent while we were disconnected
+            this.refreshChatMessages(groupId);
+        } else if (!this.chatPolling) {
+            this.startChatPolling(groupId);
+        }
+    }
+
+    // Chat polling (fallback when the socket can't connect)
     startChatPolling(groupId) {
         this.stopChatPolling();
         this.currentGroupId = groupId;
@@ -234,41 +489,309 @@ class UIManager {
     async refreshChatMessages(groupId) {
         try {
             const response = await api.getMessages(groupId, 30);
-            if (response.success) {
-                this.renderChatMessages(response.data.messages);
+            if (response.success && groupId === this.currentGroupId) {
+                response.data.messages.forEach(message => this.addChatMessage(message));
             }
         } catch (error) {
             // Silently fail for polling
         }
     }
 
-    renderChatMessages(messages) {
+    // `hasMore` tells whether older history exists; omit it to keep the
+    // current value
+    renderChatMessages(messages, hasMore) {
+        // Keep history already paged in before this page, and our unsent
+        // messages (sending/queued/failed) at the end
+        const first = messages[0];
+        const older = first
+            ? this.chatMessages.filter(local => !local.status && new Date(local.created_at) < new Date(first.created_at))
+            : [];
+        const unsent = this.chatMessages.filter(local => local.status
+            && !messages.some(m => m.id === local.id || m.client_id === local.id));
+        this.chatMessages = [...older, ...messages, ...unsent];
+        // With older pages kept, whether more exist is still what they said
+        if (hasMore !== undefined && older.length === 0) {
+            this.chatHasMore = hasMore;
+        }
+
         const container = document.querySelector('.chat-messages');
         if (!container) return;
 
         const scrollAtBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 10;
         
-        container.innerHTML = messages.map(message => `
-            <div class="message">
+        container.innerHTML = this.chatHistoryControl()
+            + this.chatMessages.map(message => this.chatMessageTemplate(message)).join('');
+
+        // Maintain scroll position
+        if (scrollAtBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+    }
+
+    // Fetch the page before the oldest loaded message and prepend it,
+    // keeping the messages on screen where they were. Resolves to whether a
+    // page was loaded; calls made while one is loading share its result.
+    async loadOlderChatMessages(groupId) {
+        if (this.chatLoadingOlder) return this.chatLoadingOlder;
+        if (!this.chatHasMore || this.chatMessages.length === 0) return false;
+
+        const container = document.querySelector('.chat-messages');
+        if (!container) return false;
+
+        const loading = this.fetchOlderChatMessages(groupId, container);
+        this.chatLoadingOlder = loading;
+        try {
+            return await loading;
+        } finally {
+            // stopChat may already have moved on to another group
+            if (this.chatLoadingOlder === loading) this.chatLoadingOlder = null;
+        }
+    }
+
+    async fetchOlderChatMessages(groupId, container) {
+        container.querySelector('.chat-load-older')?.remove();
+        container.insertAdjacentHTML('afterbegin', `
+            <div class="chat-history-loader text-center">
+                <div class="spinner"></div>
+            </div>
+        `);
+
+        try {
+            const response = await api.getMessages(groupId, 30, { before: this.chatMessages[0].id });
+            if (!response.success || groupId !== this.currentGroupId) return false;
+
+            const known = new Set(this.chatMessages.map(m => m.id));
+            const older = response.data.messages.filter(m => !known.has(m.id));
+            this.chatHasMore = response.data.has_more ?? response.data.messages.length >= 30;
+            this.chatMessages = [...older, ...this.chatMessages];
+
+            container.querySelector('.chat-history-loader')?.remove();
+
+            const previousHeight = container.scrollHeight;
+            const previousTop = container.scrollTop;
+            container.insertAdjacentHTML('afterbegin', this.chatHistoryControl()
+                + older.map(message => this.chatMessageTemplate(message)).join(''));
+            container.scrollTop = container.scrollHeight - previousHeight + previousTop;
+            return true;
+        } catch (error) {
+            handleApiError(error);
+            return false;
+        } finally {
+            container.querySelector('.chat-history-loader')?.remove();
+            // Back after a failed load
+            if (!container.querySelector('.chat-load-older')) {
+                container.insertAdjacentHTML('afterbegin', this.chatHistoryControl());
+            }
+        }
+    }
+
+    chatHistoryControl() {
+        if (!this.chatHasMore) return '';
+        return `
+            <div class="chat-load-older text-center">
+                <button type="button" class="btn btn-small btn-secondary" data-chat-action="load-older">${t('chat.loadOlder')}</button>
+            </div>
+        `;
+    }
+
+    // Scroll to a message linked from search and highlight it, paging back
+    // through the history (at most `maxPages` pages) until it shows up.
+    // Resolves to whether it did.
+    async focusChatMessage(groupId, messageId, maxPages = 5) {
+        const selector = `.chat-messages [data-message-id="${CSS.escape(String(messageId))}"]`;
+
+        for (let page = 0; ; page++) {
+            const element = document.querySelector(selector);
+            if (element) {
+                element.scrollIntoView({ block: 'center' });
+                element.classList.add('message-highlight');
+                return true;
+            }
+            if (groupId !== this.currentGroupId) return false;
+            if (page >= maxPages || !this.chatHasMore) {
+                this.showToast(t('search.messageNotFound'), 'info');
+                return false;
+            }
+            // A failed page was already reported; stop rather than retry
+            if (!await this.loadOlderChatMessages(groupId)) return false;
+        }
+    }
+
+    // Optimistic send: the message shows up at once as "sending" and is
+    // swapped for the server's copy when the POST (or the push echo) lands
+    async sendChatMessage(groupId, content, clientId = null) {
+        clientId = clientId || `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+        const pending = {
+            id: clientId,
+            client_id: clientId,
+            user_id: auth.user?.id,
+            author_name: auth.user?.name,
+            content,
+            created_at: new Date().toISOString(),
+            status: 'sending'
+        };
+
+        if (this.chatMessages.some(m => m.id === clientId)) {
+            this.updateChatMessage(clientId, { status: 'sending' });
+        } else {
+            this.addChatMessage(pending);
+        }
+
+        try {
+            const response = await api.sendMessage(groupId, content, clientId);
+
+            // Sent once the connection is back (see the offline queue).
+            // `queueId` lets the chat's retry/discard act on the queued copy.
+            if (response.queued) {
+                this.updateChatMessage(clientId, { status: 'queued', queueId: response.data.queued.id });
+                return;
+            }
+
+            if (response.success && response.data.message) {
+                this.resolvePendingChatMessage(clientId, response.data.message);
+            }
+
+            // Without the push stream, pick up what others sent meanwhile
+            if (!chatSocket.isOpen()) {
+                await this.refreshChatMessages(groupId);
+            }
+        } catch (error) {
+            this.updateChatMessage(clientId, { status: 'failed' });
+            handleApiError(error);
+        }
+    }
+
+    retryChatMessage(groupId, clientId) {
+        const message = this.chatMessages.find(m => m.id === clientId);
+        if (!message) return;
+
+        // Rejected on replay: it is still in the offline queue
+        if (message.queueId) {
+            this.updateChatMessage(clientId, { status: 'queued' });
+            api.retryQueuedRequest(message.queueId);
+            return;
+        }
+        this.sendChatMessage(groupId, message.content, clientId);
+    }
+
+    discardChatMessage(clientId) {
+        const message = this.chatMessages.find(m => m.id === clientId);
+        if (message?.queueId) {
+            api.discardQueuedRequest(message.queueId);
+        }
+        this.removeChatMessage(clientId);
+    }
+
+    // Replace the optimistic copy with the server's message; if the push
+    // stream already delivered it, just drop the copy
+    resolvePendingChatMessage(clientId, message) {
+        if (!clientId || !this.chatMessages.some(m => m.id === clientId)) {
+            this.addChatMessage(message);
+            return;
+        }
+
+        if (this.chatMessages.some(m => m.id === message.id)) {
+            this.removeChatMessage(clientId);
+            return;
+        }
+
+        this.chatMessages = this.chatMessages.map(m => m.id === clientId ? message : m);
+        this.replaceChatMessageElement(clientId, message);
+    }
+
+    updateChatMessage(id, changes) {
+        const message = this.chatMessages.find(m => m.id === id);
+        if (!message) return;
+
+        const updated = { ...message, ...changes };
+        this.chatMessages = this.chatMessages.map(m => m.id === id ? updated : m);
+        this.replaceChatMessageElement(id, updated);
+    }
+
+    removeChatMessage(id) {
+        this.chatMessages = this.chatMessages.filter(m => m.id !== id);
+        document.querySelector(`.chat-messages [data-message-id="${CSS.escape(String(id))}"]`)?.remove();
+    }
+
+    replaceChatMessageElement(id, message) {
+        const element = document.querySelector(`.chat-messages [data-message-id="${CSS.escape(String(id))}"]`);
+        if (element) {
+            element.outerHTML = this.chatMessageTemplate(message);
+        }
+    }
+
+    // Append a single message, skipping ones we already have
+    addChatMessage(message) {
+        // Server copy of one of our optimistic messages
+        if (message.client_id && message.id !== message.client_id
+            && this.chatMessages.some(m => m.id === message.client_id)) {
+            this.resolvePendingChatMessage(message.client_id, message);
+            return;
+        }
+
+        if (this.chatMessages.some(m => m.id === message.id)) return;
+
+        const container = document.querySelector('.chat-messages');
+        const last = this.chatMessages[this.chatMessages.length - 1];
+
+        // Out-of-order arrivals fall back to a full sorted render
+        if (last && new Date(message.created_at) < new Date(last.created_at)) {
+            const messages = [...this.chatMessages, message]
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+            this.renderChatMessages(messages);
+            return;
+        }
+
+        if (this.chatMessages.length === 0) {
+            this.renderChatMessages([message]);
+            return;
+        }
+
+        this.chatMessages.push(message);
+        if (!container) return;
+
+        const scrollAtBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 10;
+        container.insertAdjacentHTML('beforeend', this.chatMessageTemplate(message));
+
+        if (scrollAtBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+    }
+
+    chatMessageTemplate(message) {
+        const statusLabels = {
+            sending: t('chat.status.sending'),
+            queued: t('chat.status.queued'),
+            failed: t('chat.status.failed')
+        };
+
+        return `
+            <div class="message ${message.status ? `message-${message.status}` : ''}" data-message-id="${this.escapeHtml(String(message.id))}">
                 <div class="message-header">
                     <span class="message-author">${this.escapeHtml(message.author_name)}</span>
                     <span class="message-time">${formatTime(message.created_at)}</span>
                 </div>
                 <div class="message-content">${this.escapeHtml(message.content)}</div>
+                ${message.status ? `
+                    <div class="message-status">
+                        ${statusLabels[message.status] || ''}
+                        ${message.status === 'failed' ? `
+                            <button class="btn btn-small btn-secondary" data-chat-action="retry" data-message-id="${this.escapeHtml(String(message.id))}">${t('common.retry')}</button>
+                            <button class="btn btn-small btn-secondary" data-chat-action="discard" data-message-id="${this.escapeHtml(String(message.id))}">${t('common.discard')}</button>
+                        ` : ''}
+                    </div>
+                ` : ''}
             </div>
-        `).join('');
-
-        // Maintain scroll position
-        if (scrollAtBottom) {
-            container.scrollTop = container.scrollHeight;
-        }
+        `;
     }
 
     // Template rendering helpers
+    // Safe in text and in quoted attributes: innerHTML leaves quotes as is
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text || '';
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     formatFileSize(bytes) {
@@ -276,7 +799,7 @@ class UIManager {
         const k = 1024;
         const sizes = ['Bytes', 'KB', 'MB', 'GB'];
         const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        return formatNumber(bytes / Math.pow(k, i), { maximumFractionDigits: 2 }) + ' ' + sizes[i];
     }
 
     truncateText(text, maxLength) {
@@ -300,36 +823,36 @@ class UIManager {
     // Form validation
     validateRequired(value, fieldName) {
         if (!value || !value.trim()) {
-            return `${fieldName} é obrigatório`;
+            return t('validation.required', { field: fieldName });
         }
         return null;
     }
 
     validateEmail(email) {
-        if (!email) return 'E-mail é obrigatório';
+        if (!email) return t('validation.emailRequired');
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(email)) {
-            return 'Digite um e-mail válido';
+            return t('validation.email');
         }
         return null;
     }
 
     validatePassword(password) {
-        if (!password) return 'Senha é obrigatória';
+        if (!password) return t('validation.passwordRequired');
         if (password.length < 6) {
-            return 'Senha deve ter pelo menos 6 caracteres';
+            return t('validation.passwordLength', { min: 6 });
         }
         return null;
     }
 
     validateDateTime(dateTime) {
-        if (!dateTime) return 'Data e hora são obrigatórias';
+        if (!dateTime) return t('validation.dateTimeRequired');
         const date = new Date(dateTime);
         if (isNaN(date.getTime())) {
-            return 'Data e hora inválidas';
+            return t('validation.dateTimeInvalid');
         }
         if (date <= new Date()) {
-            return 'Data e hora devem ser no futuro';
+            return t('validation.dateTimeFuture');
         }
         return null;
     }
@@ -383,7 +906,7 @@ class UIManager {
 
     // Cleanup
     cleanup() {
-        this.stopChatPolling();
+        this.stopChat();
         this.toasts.forEach(toast => this.removeToast(toast));
         this.modals.forEach(modal => this.hideModal(modal));
     }
@@ -397,14 +920,15 @@ class Templates {
                 <div class="card login-card">
                     <div class="card-header text-center">
                         <h1>EduConnect</h1>
-                        <p>Entre em sua conta para continuar</p>
+                        <p>${t('auth.loginSubtitle')}</p>
                     </div>
                     <div class="card-body">
                         ${AuthForms.createLoginForm()}
                         <div class="text-center mt-3">
-                            <p>Não tem uma conta? 
-                                <a href="/register" class="link">Criar conta</a>
+                            <p>${t('auth.noAccount')} 
+                                <a href="/register" class="link">${t('auth.register')}</a>
                             </p>
+                            ${Templates.languageSelect()}
                         </div>
                     </div>
                 </div>
@@ -418,14 +942,15 @@ class Templates {
                 <div class="card login-card">
                     <div class="card-header text-center">
                         <h1>EduConnect</h1>
-                        <p>Crie sua conta para começar</p>
+                        <p>${t('auth.registerSubtitle')}</p>
                     </div>
                     <div class="card-body">
                         ${AuthForms.createRegisterForm()}
                         <div class="text-center mt-3">
-                            <p>Já tem uma conta? 
-                                <a href="/login" class="link">Fazer login</a>
+                            <p>${t('auth.haveAccount')} 
+                                <a href="/login" class="link">${t('auth.loginLink')}</a>
                             </p>
+                            ${Templates.languageSelect()}
                         </div>
                     </div>
                 </div>
@@ -433,6 +958,25 @@ class Templates {
         `;
     }
 
+    // Language picker for pages without a signed-in user; signed-in users
+    // change it in their preferences so it's saved to the profile
+    static languageSelect() {
+        return `
+            <label class="language-select">
+                <span class="sr-only">${t('preferences.language')}</span>
+                <select id="language-select" data-testid="select-language">
+                    ${Templates.localeOptions(getLocale())}
+                </select>
+            </label>
+        `;
+    }
+
+    static localeOptions(selected) {
+        return listLocales().map(({ code, name }) => `
+            <option value="${code}" lang="${code}" ${code === selected ? 'selected' : ''}>${name}</option>
+        `).join('');
+    }
+
     static dashboardPage() {
         return `
             <div class="header">
@@ -440,8 +984,10 @@ class Templates {
                     <div class="header-content">
                         <a href="/dashboard" class="logo">EduConnect</a>
                         <div class="nav-actions">
-                            <span>Olá, ${auth.user?.name || 'Usuário'}!</span>
-                            <button class="btn btn-secondary btn-small" id="logout-btn">Sair</button>
+                            ${Templates.headerSearch()}
+                            <span>${t('dashboard.greeting', { name: ui.escapeHtml(auth.user?.name || t('dashboard.defaultUser')) })}</span>
+                            <button class="btn btn-secondary btn-small" id="preferences-btn" data-testid="button-preferences">${t('preferences.title')}</button>
+                            <button class="btn btn-secondary btn-small" id="logout-btn">${t('common.logout')}</button>
                         </div>
                     </div>
                 </div>
@@ -449,32 +995,160 @@ class Templates {
             
             <div class="container dashboard">
                 <div class="dashboard-actions">
-                    <button class="btn btn-primary" id="create-group-btn" data-testid="button-create-group">Criar Grupo</button>
-                    <button class="btn btn-secondary" id="join-group-btn" data-testid="button-join-group">Entrar com Código</button>
+                    <button class="btn btn-primary" id="create-group-btn" data-testid="button-create-group">${t('groups.create')}</button>
+                    <button class="btn btn-secondary" id="join-group-btn" data-testid="button-join-group">${t('groups.joinWithCode')}</button>
+                    <button class="btn btn-secondary" id="calendar-feed-btn" data-testid="button-calendar-feed">${t('calendarFeed.title')}</button>
                 </div>
                 
                 <div id="groups-container">
                     <div class="text-center">
                         <div class="spinner"></div>
-                        <p>Carregando grupos...</p>
+                        <p>${t('groups.loading')}</p>
+                    </div>
+                </div>
+
+                <section class="dashboard-mentorships mt-3">
+                    <h2>${t('mentorships.mine')}</h2>
+                    <div id="dashboard-mentorships">
+                        <div class="text-center">
+                            <div class="spinner"></div>
+                            <p>${t('mentorships.loading')}</p>
+                        </div>
+                    </div>
+                </section>
+            </div>
+        `;
+    }
+
+    // Search box in the header of signed-in pages; the router handles the
+    // submit for all of them
+    static headerSearch(query = '') {
+        return `
+            <form class="header-search" role="search" data-header-search>
+                <input type="search" name="q" value="${ui.escapeHtml(query)}" placeholder="${t('search.placeholder')}" aria-label="${t('search.label')}" data-testid="input-header-search">
+            </form>
+        `;
+    }
+
+    static searchPage(query) {
+        return `
+            <div class="header">
+                <div class="container">
+                    <div class="header-content">
+                        <a href="/dashboard" class="logo">EduConnect</a>
+                        <div class="nav-actions">
+                            ${Templates.headerSearch(query)}
+                            <a href="/dashboard" class="btn btn-secondary btn-small">← ${t('dashboard.title')}</a>
+                            <button class="btn btn-secondary btn-small" id="logout-btn">${t('common.logout')}</button>
+                        </div>
                     </div>
                 </div>
             </div>
+
+            <div class="container search-page">
+                <h1>${query ? t('search.heading', { query: ui.escapeHtml(query) }) : t('search.title')}</h1>
+                <div id="search-results">
+                    ${query.length < MIN_QUERY_LENGTH ? `
+                        <p class="text-center">${t('search.minLength', { min: MIN_QUERY_LENGTH })}</p>
+                    ` : `
+                        <div class="text-center">
+                            <div class="spinner"></div>
+                            <p>${t('search.searching')}</p>
+                        </div>
+                    `}
+                </div>
+            </div>
         `;
     }
 
+    // Results grouped by type. Each one links to its group, on the tab
+    // (and item) it was found in.
+    static searchResults({ query, results, totals }) {
+        const types = ['groups', 'materials', 'mentorships', 'messages'].filter(type => results[type]?.length > 0);
+        if (types.length === 0) {
+            return `
+                <div class="text-center">
+                    <p>${t('search.empty', { query: ui.escapeHtml(query) })}</p>
+                </div>
+            `;
+        }
+
+        return types.map(type => `
+            <section class="search-section mb-3" data-search-type="${type}">
+                <div class="flex justify-between items-center mb-2">
+                    <h2>${t(`search.types.${type}`)}</h2>
+                    ${totals[type] > results[type].length ? `
+                        <span class="item-meta">${t('search.showing', { shown: results[type].length, total: totals[type] })}</span>
+                    ` : ''}
+                </div>
+                <div class="item-list">
+                    ${results[type].map(item => Templates.searchResult(type, item)).join('')}
+                </div>
+            </section>
+        `).join('');
+    }
+
+    static searchResult(type, item) {
+        const inGroup = item.group_name ? t('search.inGroup', { name: ui.escapeHtml(item.group_name) }) : '';
+
+        switch (type) {
+            case 'groups':
+                return `
+                    <a href="/group/${item.id}" class="list-item search-result">
+                        <h3 class="item-title">${ui.escapeHtml(item.name)}</h3>
+                        ${item.description ? `<p>${ui.escapeHtml(ui.truncateText(item.description, 160))}</p>` : ''}
+                        <div class="item-meta">${t('groups.memberCount', { count: item.member_count || 0 })}</div>
+                    </a>
+                `;
+            case 'materials': {
+                // The materials tab opens filtered down to this material
+                const href = `/group/${item.group_id}?${new URLSearchParams({ tab: 'materials', q: item.title })}`;
+                return `
+                    <a href="${ui.escapeHtml(href)}" class="list-item search-result">
+                        <h3 class="item-title">${ui.escapeHtml(item.title)}</h3>
+                        ${item.description ? `<p>${ui.escapeHtml(ui.truncateText(item.description, 160))}</p>` : ''}
+                        <div class="item-meta">
+                            ${t(`materials.types.${getMaterialType(item)}`)} · ${inGroup} · ${formatDate(item.created_at)}
+                        </div>
+                    </a>
+                `;
+            }
+            case 'mentorships':
+                return `
+                    <a href="/group/${item.group_id}?mentorship=${item.id}" class="list-item search-result">
+                        <h3 class="item-title">${ui.escapeHtml(item.title)}</h3>
+                        <div class="item-meta">
+                            ${item.status === 'cancelled' ? `<span class="mentorship-status-cancelled">${t('mentorships.cancelled')}</span> ·` : ''}
+                            ${Templates.mentorshipTime(item)} · ${inGroup}
+                        </div>
+                    </a>
+                `;
+            case 'messages':
+                return `
+                    <a href="/group/${item.group_id}?tab=chat&amp;message=${item.id}" class="list-item search-result">
+                        <p>${ui.escapeHtml(ui.truncateText(item.content, 200))}</p>
+                        <div class="item-meta">
+                            ${ui.escapeHtml(item.author_name)} · ${inGroup} · ${formatDateTime(item.created_at)}
+                        </div>
+                    </a>
+                `;
+            default:
+                return '';
+        }
+    }
+
     static groupsList(groups) {
         if (!groups || groups.length === 0) {
             return `
                 <div class="text-center">
-                    <h3>Nenhum grupo encontrado</h3>
-                    <p>Crie um novo grupo ou entre em um existente usando o código.</p>
+                    <h3>${t('groups.emptyTitle')}</h3>
+                    <p>${t('groups.emptyText')}</p>
                 </div>
             `;
         }
 
         return `
-            <h2>Meus Grupos</h2>
+            <h2>${t('groups.mine')}</h2>
             <div class="group-grid">
                 ${groups.map(group => `
                     <div class="card group-card" data-group-id="${group.id}">
@@ -483,10 +1157,13 @@ class Templates {
                                 <h3>${ui.escapeHtml(group.name)}</h3>
                                 <p>${ui.escapeHtml(group.description || '')}</p>
                                 <div class="group-stats">
-                                    <span>${group.member_count || 0} membros</span>
-                                    <span>Código: ${group.join_code}</span>
+                                    <span>${t('groups.memberCount', { count: group.member_count || 0 })}</span>
+                                    <span>${t('groups.joinCode', { code: group.join_code })}</span>
                                 </div>
                             </div>
+                            <div class="group-card-actions">
+                                <button class="btn btn-secondary btn-small" data-group-action="leave" data-group-id="${group.id}" data-testid="button-leave-group-${group.id}">${t('groups.leave')}</button>
+                            </div>
                         </div>
                     </div>
                 `).join('')}
@@ -501,71 +1178,168 @@ class Templates {
                     <div class="header-content">
                         <a href="/dashboard" class="logo">EduConnect</a>
                         <div class="nav-actions">
-                            <a href="/dashboard" class="btn btn-secondary btn-small">← Dashboard</a>
-                            <button class="btn btn-secondary btn-small" id="logout-btn">Sair</button>
+                            ${Templates.headerSearch()}
+                            <a href="/dashboard" class="btn btn-secondary btn-small">← ${t('dashboard.title')}</a>
+                            <button class="btn btn-secondary btn-small" id="logout-btn">${t('common.logout')}</button>
                         </div>
                     </div>
                 </div>
             </div>
             
             <div class="container group-page">
-                <div class="group-header">
-                    <h1>${ui.escapeHtml(group.name)}</h1>
-                    <p>${ui.escapeHtml(group.description || '')}</p>
-                    <div class="group-stats">
-                        <span>${group.member_count || 0} membros</span>
-                        <span>Código: ${group.join_code}</span>
-                    </div>
-                </div>
+                ${Templates.groupHeader(group)}
                 
                 <div class="tabs">
                     <ul class="tab-list" role="tablist">
-                        <li><button class="tab active" data-tab="mentorships" role="tab">Mentorias</button></li>
-                        <li><button class="tab" data-tab="materials" role="tab">Materiais</button></li>
-                        <li><button class="tab" data-tab="chat" role="tab">Chat</button></li>
+                        <li><button class="tab active" data-tab="mentorships" role="tab">${t('mentorships.title')}</button></li>
+                        <li><button class="tab" data-tab="materials" role="tab">${t('materials.title')}</button></li>
+                        <li><button class="tab" data-tab="chat" role="tab">${t('chat.title')}</button></li>
+                        <li><button class="tab" data-tab="members" role="tab">${t('members.title')}</button></li>
                     </ul>
                 </div>
                 
                 <div class="tab-content active" id="mentorships-tab">
                     <div class="flex justify-between items-center mb-3">
-                        <h2>Mentorias</h2>
-                        <button class="btn btn-primary" id="create-mentorship-btn">Agendar Mentoria</button>
+                        <h2>${t('mentorships.title')}</h2>
+                        <button class="btn btn-primary" id="create-mentorship-btn">${t('mentorships.schedule')}</button>
                     </div>
                     <div id="mentorships-list">
                         <div class="text-center">
                             <div class="spinner"></div>
-                            <p>Carregando mentorias...</p>
+                            <p>${t('mentorships.loading')}</p>
                         </div>
                     </div>
                 </div>
                 
                 <div class="tab-content" id="materials-tab">
                     <div class="flex justify-between items-center mb-3">
-                        <h2>Materiais</h2>
-                        <button class="btn btn-primary" id="create-material-btn">Adicionar Material</button>
+                        <h2>${t('materials.title')}</h2>
+                        <button class="btn btn-primary" id="create-material-btn">${t('materials.add')}</button>
                     </div>
+                    ${Templates.materialFilters()}
+                    <div id="material-preview" class="material-preview hidden"></div>
                     <div id="materials-list">
                         <div class="text-center">
                             <div class="spinner"></div>
-                            <p>Carregando materiais...</p>
+                            <p>${t('materials.loading')}</p>
                         </div>
                     </div>
                 </div>
                 
                 <div class="tab-content" id="chat-tab">
                     <div class="mb-3">
-                        <h2>Chat</h2>
+                        <h2>${t('chat.title')}</h2>
                     </div>
                     <div class="chat-container">
                         <div class="chat-messages" id="chat-messages">
                             <div class="text-center">
                                 <div class="spinner"></div>
-                                <p>Carregando mensagens...</p>
+                                <p>${t('chat.loading')}</p>
                             </div>
                         </div>
                         <div class="chat-input">
-                            <input type="text" placeholder="Digite sua mensagem..." id="message-input" maxlength="500">
-                            <button class="btn btn-primary" id="send-message-btn">Enviar</button>
+                            <input type="text" placeholder="${t('chat.placeholder')}" id="message-input" maxlength="500">
+                            <button class="btn btn-primary" id="send-message-btn">${t('chat.send')}</button>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="tab-content" id="members-tab">
+                    <div class="mb-3">
+                        <h2>${t('members.title')}</h2>
+                    </div>
+                    <div id="members-list">
+                        <div class="text-center">
+                            <div class="spinner"></div>
+                            <p>${t('members.loading')}</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    static groupHeader(group) {
+        return `
+            <div class="group-header">
+                ${auth.canManageGroup(group) ? `
+                    <a href="/group/${group.id}/settings" class="btn btn-secondary btn-small" data-testid="link-group-settings">${t('settings.link')}</a>
+                ` : ''}
+                <button class="btn btn-secondary btn-small" data-group-action="leave" data-group-id="${group.id}" data-testid="button-leave-group">${t('groups.leave')}</button>
+                <h1>${ui.escapeHtml(group.name)}</h1>
+                <p>${ui.escapeHtml(group.description || '')}</p>
+                <div class="group-stats">
+                    <span>${t('groups.memberCount', { count: group.member_count || 0 })}</span>
+                    <span>${t('groups.joinCode', { code: group.join_code })}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    static groupSettingsPage(group) {
+        return `
+            <div class="header">
+                <div class="container">
+                    <div class="header-content">
+                        <a href="/dashboard" class="logo">EduConnect</a>
+                        <div class="nav-actions">
+                            ${Templates.headerSearch()}
+                            <a href="/group/${group.id}" class="btn btn-secondary btn-small">← ${t('settings.backToGroup')}</a>
+                            <button class="btn btn-secondary btn-small" id="logout-btn">${t('common.logout')}</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="container group-settings">
+                <h1>${t('settings.title')}</h1>
+                
+                <div class="card mb-3">
+                    <div class="card-header">
+                        <h2>${t('settings.info')}</h2>
+                    </div>
+                    <div class="card-body">
+                        <form id="group-settings-form" novalidate>
+                            <div class="form-group">
+                                <label for="group-name">${t('groups.form.name')}</label>
+                                <input type="text" id="group-name" name="name" required maxlength="100" value="${ui.escapeHtml(group.name)}">
+                                <span class="input-error" id="name-error"></span>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label for="group-description">${t('common.description')}</label>
+                                <textarea id="group-description" name="description" rows="3" maxlength="500">${ui.escapeHtml(group.description || '')}</textarea>
+                                <span class="input-error" id="description-error"></span>
+                            </div>
+                            
+                            <div class="form-group mb-0">
+                                <button type="submit" class="btn btn-primary">${t('common.saveChanges')}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+                
+                <div class="card mb-3">
+                    <div class="card-header">
+                        <h2>${t('settings.joinCode.title')}</h2>
+                    </div>
+                    <div class="card-body">
+                        <p>${t('settings.joinCode.text')}</p>
+                        <div class="flex justify-between items-center">
+                            <strong id="group-join-code">${ui.escapeHtml(group.join_code)}</strong>
+                            <button class="btn btn-secondary" id="regenerate-join-code-btn">${t('settings.joinCode.regenerate')}</button>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="card danger-zone">
+                    <div class="card-header">
+                        <h2>${t('settings.danger.title')}</h2>
+                    </div>
+                    <div class="card-body">
+                        <div class="flex justify-between items-center">
+                            <p>${t('settings.danger.text')}</p>
+                            <button class="btn btn-danger" id="delete-group-btn">${t('settings.danger.delete')}</button>
                         </div>
                     </div>
                 </div>
@@ -573,28 +1347,248 @@ class Templates {
         `;
     }
 
+    static membersList(members, group) {
+        if (!members || members.length === 0) {
+            return `
+                <div class="text-center">
+                    <p>${t('members.empty')}</p>
+                </div>
+            `;
+        }
+
+        const userRoles = { student: t('members.userRoles.student'), teacher: t('members.userRoles.teacher') };
+        const groupRoles = {
+            owner: t('members.groupRoles.owner'),
+            co_owner: t('members.groupRoles.co_owner'),
+            mentor: t('members.groupRoles.mentor')
+        };
+
+        return `
+            <div class="item-list">
+                ${members.map(member => `
+                    <div class="list-item member-item" data-user-id="${member.user_id}">
+                        <div class="item-header">
+                            <div class="flex items-center">
+                                ${ui.generateAvatar(member.name)}
+                                <h3 class="item-title">${ui.escapeHtml(member.name)}</h3>
+                            </div>
+                            <div class="item-meta">
+                                ${userRoles[member.role] || ui.escapeHtml(member.role)}
+                                ${groupRoles[member.group_role] ? ` · ${groupRoles[member.group_role]}` : ''}
+                            </div>
+                        </div>
+                        <div class="flex justify-between items-center mt-2">
+                            <div class="item-meta">
+                                ${t('members.joined', { date: formatDate(member.joined_at) })}
+                            </div>
+                            <div class="member-actions">
+                                ${auth.canChangeMemberRole(group, member) && member.group_role !== 'owner' ? `
+                                    <select class="member-role-select" data-member-role="${member.user_id}" aria-label="${t('members.roleOf', { name: ui.escapeHtml(member.name) })}">
+                                        <option value="member" ${member.group_role === 'member' ? 'selected' : ''}>${t('members.groupRoles.member')}</option>
+                                        <option value="mentor" ${member.group_role === 'mentor' ? 'selected' : ''}>${t('members.groupRoles.mentor')}</option>
+                                        <option value="co_owner" ${member.group_role === 'co_owner' ? 'selected' : ''}>${t('members.groupRoles.co_owner')}</option>
+                                    </select>
+                                ` : ''}
+                                ${auth.canTransferOwnership(group, member) ? `
+                                    <button class="btn btn-small btn-secondary" data-member-action="transfer" data-user-id="${member.user_id}">${t('members.transfer')}</button>
+                                ` : ''}
+                                ${auth.canRemoveMember(group, member, members) ? `
+                                    <button class="btn btn-small btn-danger" data-member-action="remove" data-user-id="${member.user_id}">${t('common.remove')}</button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Toolbar plus the list, month or week view.
+    // `state` is { view, date }; `showGroup` adds the group name to sessions.
+    static mentorshipsView(mentorships, state, { showGroup = false, views = ['list', 'month', 'week'] } = {}) {
+        const labels = { list: t('calendar.views.list'), month: t('calendar.views.month'), week: t('calendar.views.week') };
+
+        return `
+            <div class="calendar-toolbar flex justify-between items-center mb-3">
+                <div class="calendar-views" role="group" aria-label="${t('calendar.viewsLabel')}">
+                    ${views.map(view => `
+                        <button type="button" class="btn btn-small ${state.view === view ? 'btn-primary' : 'btn-secondary'}" data-calendar-view="${view}" aria-pressed="${state.view === view}">${labels[view]}</button>
+                    `).join('')}
+                </div>
+                ${state.view === 'list' ? '' : `
+                    <div class="calendar-nav flex items-center">
+                        <button type="button" class="btn btn-small btn-secondary" data-calendar-nav="-1" aria-label="${t('calendar.previous')}">‹</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-calendar-nav="0">${t('calendar.today')}</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-calendar-nav="1" aria-label="${t('calendar.next')}">›</button>
+                        <strong class="calendar-title">${Templates.calendarTitle(state.view, state.date)}</strong>
+                    </div>
+                `}
+            </div>
+            ${state.view === 'list'
+                ? Templates.mentorshipsList(mentorships)
+                : Templates.mentorshipCalendar(mentorships, state, { showGroup })}
+        `;
+    }
+
+    static calendarTitle(view, date) {
+        if (view === 'week') {
+            const { days } = getCalendarRange('week', date);
+            // Grid days are local dates, not instants in the user's zone
+            const timeZone = getBrowserTimeZone();
+            return `${formatDate(days[0], { year: undefined, timeZone })} – ${formatDate(days[6], { timeZone })}`;
+        }
+        return date.toLocaleDateString(getLocale(), { month: 'long', year: 'numeric' });
+    }
+
+    // Sessions in the next week, for the dashboard
+    static upcomingMentorships(mentorships) {
+        const upcoming = mentorships
+            .filter(mentorship => isUpcoming(mentorship))
+            .sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date));
+
+        if (upcoming.length === 0) {
+            return `<p class="item-meta mb-3">${t('mentorships.noneUpcoming', { days: 7 })}</p>`;
+        }
+
+        return `
+            <div class="upcoming-mentorships mb-3">
+                ${upcoming.map(mentorship => `
+                    <button type="button" class="upcoming-mentorship" data-calendar-event="${mentorship.id}">
+                        <strong>${ui.escapeHtml(mentorship.title)}</strong>
+                        <span class="item-meta">${Templates.mentorshipTime(mentorship)} · ${ui.escapeHtml(mentorship.group_name || '')}</span>
+                        ${mentorship.my_rsvp === 'going' ? `<span class="rsvp-status rsvp-going">✓ ${t('mentorships.rsvp.confirmedShort')}</span>` : ''}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    static mentorshipCalendar(mentorships, { view, date }, { showGroup = false } = {}) {
+        const { days } = getCalendarRange(view, date);
+        const byDay = groupByDay(mentorships);
+        const today = toZonedDay(new Date());
+        const weekdays = getWeekdayNames();
+
+        return `
+            <div class="calendar calendar-${view}">
+                <div class="calendar-grid">
+                    ${weekdays.map(day => `<div class="calendar-weekday">${day}</div>`).join('')}
+                    ${days.map(day => {
+                        const classes = ['calendar-day'];
+                        if (isSameDay(day, today)) classes.push('calendar-day-today');
+                        if (view === 'month' && day.getMonth() !== date.getMonth()) classes.push('calendar-day-outside');
+
+                        return `
+                            <div class="${classes.join(' ')}">
+                                <div class="calendar-day-number">${day.getDate()}</div>
+                                ${(byDay.get(dayKey(day)) || []).map(mentorship => Templates.calendarEvent(mentorship, showGroup)).join('')}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    static calendarEvent(mentorship, showGroup) {
+        const classes = ['calendar-event'];
+        if (mentorship.status === 'cancelled') classes.push('calendar-event-cancelled');
+        if (isUpcoming(mentorship)) classes.push('calendar-event-upcoming');
+        if (new Date(mentorship.scheduled_date) < new Date()) classes.push('calendar-event-past');
+
+        return `
+            <button type="button" class="${classes.join(' ')}" data-calendar-event="${mentorship.id}" title="${ui.escapeHtml(mentorship.title)}">
+                <span class="calendar-event-time">${formatTime(mentorship.scheduled_date)}</span>
+                ${ui.escapeHtml(mentorship.title)}
+                ${showGroup && mentorship.group_name ? `<span class="calendar-event-group">${ui.escapeHtml(mentorship.group_name)}</span>` : ''}
+            </button>
+        `;
+    }
+
+    // Modal body for a session clicked in a calendar. In a group the usual
+    // actions are offered; elsewhere, a link to the group.
+    static mentorshipDetails(mentorship, { inGroup = true } = {}) {
+        return `
+            <div class="mentorship-details" data-mentorship-id="${mentorship.id}">
+                <div class="item-meta mb-2">
+                    ${isUpcoming(mentorship) ? `<span class="mentorship-upcoming">${t('mentorships.upcoming')}</span> ·` : ''}
+                    ${mentorship.status === 'cancelled' ? `<span class="mentorship-status-cancelled">${t('mentorships.cancelled')}</span> ·` : ''}
+                    ${Templates.mentorshipTime(mentorship)}
+                </div>
+                ${mentorship.description ? `<p>${ui.escapeHtml(mentorship.description)}</p>` : ''}
+                <div class="item-meta">${t('mentorships.mentor', { name: ui.escapeHtml(mentorship.mentor_name) })}</div>
+                ${mentorship.group_name ? `<div class="item-meta">${t('mentorships.group', { name: ui.escapeHtml(mentorship.group_name) })}</div>` : ''}
+                <div class="item-meta">${Templates.mentorshipAttendance(mentorship)}</div>
+
+                <div class="flex justify-between items-center mt-3">
+                    <button class="btn btn-small btn-secondary" data-mentorship-action="ics" data-mentorship-id="${mentorship.id}">${t('mentorships.addToCalendar')}</button>
+                    ${inGroup ? `
+                        ${Templates.mentorshipRsvp(mentorship)}
+                        ${auth.canEditMentorship(mentorship) ? `
+                            <div class="mentorship-actions">
+                                <button class="btn btn-small btn-secondary" data-mentorship-action="edit" data-mentorship-id="${mentorship.id}">${t('common.edit')}</button>
+                                <button class="btn btn-small btn-danger" data-mentorship-action="cancel" data-mentorship-id="${mentorship.id}">${t('mentorships.cancel')}</button>
+                            </div>
+                        ` : ''}
+                    ` : `
+                        <a href="/group/${mentorship.group_id}" class="btn btn-small btn-primary">${t('mentorships.openGroup')}</a>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    // Date and time in the viewer's zone, plus the mentor's when it differs
+    static mentorshipTime(mentorship) {
+        const viewerTime = formatDateTime(mentorship.scheduled_date);
+        if (!zonesDiffer(mentorship.scheduled_date, getUserTimeZone(), mentorship.timezone)) {
+            return viewerTime;
+        }
+
+        const mentorTime = formatDateTime(mentorship.scheduled_date, { timeZone: mentorship.timezone });
+        return `${viewerTime} <span class="mentorship-zone" title="${ui.escapeHtml(formatTimeZoneName(mentorship.timezone))}">(${t('mentorships.mentorTime', { time: mentorTime })})</span>`;
+    }
+
     static mentorshipsList(mentorships) {
         if (!mentorships || mentorships.length === 0) {
             return `
                 <div class="text-center">
-                    <p>Nenhuma mentoria agendada ainda.</p>
+                    <p>${t('mentorships.empty')}</p>
                 </div>
             `;
         }
 
+        const sorted = [...mentorships].sort((a, b) => new Date(a.scheduled_date) - new Date(b.scheduled_date));
+
         return `
             <div class="item-list">
-                ${mentorships.map(mentorship => `
-                    <div class="list-item">
+                ${sorted.map(mentorship => `
+                    <div class="list-item ${mentorship.status === 'cancelled' ? 'list-item-cancelled' : ''} ${isUpcoming(mentorship) ? 'list-item-upcoming' : ''}" data-mentorship-id="${mentorship.id}">
                         <div class="item-header">
                             <h3 class="item-title">${ui.escapeHtml(mentorship.title)}</h3>
                             <div class="item-meta">
-                                ${formatDateTime(mentorship.scheduled_date)}
+                                ${isUpcoming(mentorship) ? `<span class="mentorship-upcoming">${t('mentorships.upcoming')}</span> ·` : ''}
+                                ${mentorship.status === 'cancelled' ? `<span class="mentorship-status-cancelled">${t('mentorships.cancelled')}</span> ·` : ''}
+                                ${mentorship.series_id ? `<span class="mentorship-series" title="${t('mentorships.recurring')}">↻</span>` : ''}
+                                ${Templates.mentorshipTime(mentorship)}
                             </div>
                         </div>
                         <p>${ui.escapeHtml(mentorship.description || '')}</p>
-                        <div class="item-meta">
-                            Mentor: ${ui.escapeHtml(mentorship.mentor_name)}
+                        <div class="flex justify-between items-center mt-2">
+                            <div class="item-meta">
+                                ${t('mentorships.mentor', { name: ui.escapeHtml(mentorship.mentor_name) })}
+                                · ${Templates.mentorshipAttendance(mentorship)}
+                            </div>
+                            <button class="btn btn-small btn-secondary" data-mentorship-action="ics" data-mentorship-id="${mentorship.id}" data-testid="button-ics-${mentorship.id}" title="${t('mentorships.downloadIcs')}">
+                                ${t('mentorships.addToCalendar')}
+                            </button>
+                            ${Templates.mentorshipRsvp(mentorship)}
+                            ${auth.canEditMentorship(mentorship) ? `
+                                <div class="mentorship-actions">
+                                    <button class="btn btn-small btn-secondary" data-mentorship-action="edit" data-mentorship-id="${mentorship.id}" data-testid="button-edit-mentorship-${mentorship.id}">${t('common.edit')}</button>
+                                    <button class="btn btn-small btn-danger" data-mentorship-action="cancel" data-mentorship-id="${mentorship.id}" data-testid="button-cancel-mentorship-${mentorship.id}">${t('mentorships.cancel')}</button>
+                                </div>
+                            ` : ''}
                         </div>
                     </div>
                 `).join('')}
@@ -602,11 +1596,60 @@ class Templates {
         `;
     }
 
-    static materialsList(materials) {
+    static mentorshipAttendance(mentorship) {
+        const going = mentorship.attendee_count || 0;
+        const attendees = mentorship.capacity
+            ? t('mentorships.attendance.withCapacity', { count: going, capacity: mentorship.capacity })
+            : t('mentorships.attendance.going', { count: going });
+
+        return mentorship.waitlist_count
+            ? `${attendees} · ${t('mentorships.attendance.waitlist', { count: mentorship.waitlist_count })}`
+            : attendees;
+    }
+
+    // Current user's RSVP state and the button to change it
+    static mentorshipRsvp(mentorship) {
+        if (!auth.canRsvpMentorship(mentorship)) return '';
+
+        const id = mentorship.id;
+        if (mentorship.my_rsvp === 'going') {
+            return `
+                <div class="mentorship-rsvp">
+                    <span class="rsvp-status rsvp-going">✓ ${t('mentorships.rsvp.confirmed')}</span>
+                    <button class="btn btn-small btn-secondary" data-mentorship-action="unrsvp" data-mentorship-id="${id}" data-testid="button-unrsvp-${id}">${t('mentorships.rsvp.cancel')}</button>
+                </div>
+            `;
+        }
+
+        if (mentorship.my_rsvp === 'waitlisted') {
+            return `
+                <div class="mentorship-rsvp">
+                    <span class="rsvp-status rsvp-waitlisted">${t('mentorships.rsvp.waitlisted', { position: mentorship.my_waitlist_position })}</span>
+                    <button class="btn btn-small btn-secondary" data-mentorship-action="unrsvp" data-mentorship-id="${id}" data-testid="button-unrsvp-${id}">${t('mentorships.rsvp.leaveWaitlist')}</button>
+                </div>
+            `;
+        }
+
+        const isFull = mentorship.capacity && mentorship.attendee_count >= mentorship.capacity;
+        return `
+            <div class="mentorship-rsvp">
+                <button class="btn btn-small btn-primary" data-mentorship-action="rsvp" data-mentorship-id="${id}" data-testid="button-rsvp-${id}">
+                    ${isFull ? t('mentorships.rsvp.joinWaitlist') : t('mentorships.rsvp.join')}
+                </button>
+            </div>
+        `;
+    }
+
+    // Pass `filtered` when the list went through the filters, so an empty
+    // result offers to clear them
+    static materialsList(materials, group = null, { filtered = false } = {}) {
         if (!materials || materials.length === 0) {
             return `
                 <div class="text-center">
-                    <p>Nenhum material compartilhado ainda.</p>
+                    <p>${filtered ? t('materials.filters.empty') : t('materials.empty')}</p>
+                    ${filtered ? `
+                        <button class="btn btn-small btn-secondary" data-material-action="clear-filters">${t('materials.filters.clear')}</button>
+                    ` : ''}
                 </div>
             `;
         }
@@ -614,21 +1657,46 @@ class Templates {
         return `
             <div class="item-list">
                 ${materials.map(material => `
-                    <div class="list-item">
+                    <div class="list-item material-item material-${getMaterialType(material)}" data-material-id="${material.id}">
                         <div class="item-header">
                             <h3 class="item-title">${ui.escapeHtml(material.title)}</h3>
                             <div class="item-meta">
+                                <span class="material-type">${t(`materials.types.${getMaterialType(material)}`)}</span> ·
+                                ${material.category ? `<span class="material-category">${t(`materials.categories.${material.category}`)}</span> ·` : ''}
                                 ${formatDate(material.created_at)}
                             </div>
                         </div>
                         <p>${ui.escapeHtml(material.description || '')}</p>
+                        ${material.file_name ? `
+                            <div class="item-meta material-file">
+                                ${ui.escapeHtml(material.file_name)} · ${ui.formatFileSize(material.file_size)}
+                            </div>
+                        ` : `
+                            <div class="item-meta material-link">${ui.escapeHtml(getLinkHost(material.url))}</div>
+                        `}
+                        ${material.tags?.length ? `
+                            <div class="material-tags">
+                                ${material.tags.map(tag => `
+                                    <button type="button" class="material-tag" data-material-tag="${ui.escapeHtml(tag)}" title="${t('materials.filters.byTag', { tag: ui.escapeHtml(tag) })}">#${ui.escapeHtml(tag)}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
                         <div class="flex justify-between items-center mt-2">
                             <div class="item-meta">
-                                Por: ${ui.escapeHtml(material.author_name)}
+                                ${t('materials.by', { name: ui.escapeHtml(material.author_name) })}
+                            </div>
+                            <div class="material-actions">
+                                ${auth.canEditMaterial(material, group) ? `
+                                    <button class="btn btn-small btn-secondary" data-material-action="edit" data-material-id="${material.id}" data-testid="button-edit-material-${material.id}">${t('common.edit')}</button>
+                                ` : ''}
+                                ${auth.canDeleteMaterial(material, group) ? `
+                                    <button class="btn btn-small btn-danger" data-material-action="delete" data-material-id="${material.id}" data-testid="button-delete-material-${material.id}">${t('common.delete')}</button>
+                                ` : ''}
+                                ${isViewable(material) ? `
+                                    <button class="btn btn-small btn-primary" data-material-action="preview" data-material-id="${material.id}" data-testid="button-preview-material-${material.id}">${t('materials.preview')}</button>
+                                ` : ''}
+                                ${Templates.materialOpenAction(material)}
                             </div>
-                            <a href="${material.url}" target="_blank" class="btn btn-small btn-secondary">
-                                Ver Material
-                            </a>
                         </div>
                     </div>
                 `).join('')}
@@ -636,23 +1704,117 @@ class Templates {
         `;
     }
 
+    // Search, category, tag and sort controls of the materials tab. The
+    // router fills in the values and the tags of the loaded materials.
+    static materialFilters() {
+        return `
+            <form id="materials-filters" class="materials-filters flex items-center mb-3" role="search" aria-label="${t('materials.filters.label')}">
+                <input type="search" id="materials-search" name="q" placeholder="${t('materials.filters.searchPlaceholder')}" aria-label="${t('materials.filters.search')}">
+                <select id="materials-category" name="category" aria-label="${t('materials.form.category')}">
+                    <option value="">${t('materials.filters.allCategories')}</option>
+                    ${Templates.materialCategoryOptions()}
+                </select>
+                <select id="materials-tag" name="tag" aria-label="${t('materials.form.tags')}">
+                    ${Templates.materialTagOptions([])}
+                </select>
+                <select id="materials-sort" name="sort" aria-label="${t('materials.filters.sort')}">
+                    ${MATERIAL_SORTS.map(sort => `<option value="${sort}">${t(`materials.filters.sorts.${sort}`)}</option>`).join('')}
+                </select>
+            </form>
+        `;
+    }
+
+    static materialCategoryOptions(selected = '') {
+        return MATERIAL_CATEGORIES.map(category => `
+            <option value="${category}" ${category === selected ? 'selected' : ''}>${t(`materials.categories.${category}`)}</option>
+        `).join('');
+    }
+
+    // A selected tag that no material uses anymore stays listed, so the
+    // filter can still be seen and cleared
+    static materialTagOptions(tags, selected = '') {
+        const options = selected && !tags.includes(selected) ? [selected, ...tags] : tags;
+        return `
+            <option value="">${t('materials.filters.allTags')}</option>
+            ${options.map(tag => `
+                <option value="${ui.escapeHtml(tag)}" ${tag === selected ? 'selected' : ''}>${ui.escapeHtml(tag)}</option>
+            `).join('')}
+        `;
+    }
+
+    // Download for uploaded files, the link itself otherwise
+    static materialOpenAction(material) {
+        if (material.file_name) {
+            return `<button class="btn btn-small btn-secondary" data-material-action="download" data-material-id="${material.id}" data-testid="button-download-material-${material.id}">${t('materials.download')}</button>`;
+        }
+        if (!isWebUrl(material.url)) return '';
+        return `
+            <a href="${ui.escapeHtml(material.url)}" target="_blank" rel="noopener" class="btn btn-small btn-secondary">
+                ${t('materials.openLink')}
+            </a>
+        `;
+    }
+
+    // Viewer for a 'pdf', 'image' or 'video' material. `src` is the link, or
+    // an object URL for uploaded files.
+    static materialViewer(material, src) {
+        const title = ui.escapeHtml(material.title);
+
+        switch (getMaterialType(material)) {
+            case 'pdf':
+                return `<iframe class="material-viewer material-viewer-pdf" src="${ui.escapeHtml(src)}" title="${title}"></iframe>`;
+            case 'image':
+                return `<img class="material-viewer material-viewer-image" src="${ui.escapeHtml(src)}" alt="${title}">`;
+            case 'video':
+                return `
+                    <iframe class="material-viewer material-viewer-video" src="${ui.escapeHtml(getVideoEmbedUrl(src))}" title="${title}"
+                        allow="autoplay; encrypted-media; fullscreen; picture-in-picture" allowfullscreen></iframe>
+                `;
+            default:
+                return '';
+        }
+    }
+
+    // Pane above the materials list; `content` is a viewer or a spinner
+    static materialPreview(material, content) {
+        return `
+            <div class="flex justify-between items-center mb-2">
+                <h3>${ui.escapeHtml(material.title)}</h3>
+                <div class="material-actions">
+                    ${Templates.materialOpenAction(material)}
+                    <button class="btn btn-small btn-secondary" data-material-action="close-preview" data-testid="button-close-preview">${t('common.close')}</button>
+                </div>
+            </div>
+            <div class="material-preview-body">${content}</div>
+        `;
+    }
+
+    static materialPreviewLoading() {
+        return `
+            <div class="text-center">
+                <div class="spinner"></div>
+                <p>${t('materials.previewLoading')}</p>
+            </div>
+        `;
+    }
+
     static createGroupModal() {
         return `
             <form id="create-group-form" novalidate>
                 <div class="form-group">
-                    <label for="group-name">Nome do Grupo</label>
+                    <label for="group-name">${t('groups.form.name')}</label>
                     <input type="text" id="group-name" name="name" required maxlength="100">
                     <span class="input-error" id="name-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="group-description">Descrição</label>
+                    <label for="group-description">${t('common.description')}</label>
                     <textarea id="group-description" name="description" rows="3" maxlength="500"></textarea>
                     <span class="input-error" id="description-error"></span>
                 </div>
                 
                 <div class="form-group mb-0">
-                    <button type="submit" class="btn btn-primary">Criar Grupo</button>
+                    <button type="submit" class="btn btn-primary">${t('groups.create')}</button>
                 </div>
             </form>
         `;
@@ -662,73 +1824,245 @@ class Templates {
         return `
             <form id="join-group-form" novalidate>
                 <div class="form-group">
-                    <label for="join-code">Código do Grupo</label>
-                    <input type="text" id="join-code" name="joinCode" required maxlength="10" placeholder="Digite o código">
+                    <label for="join-code">${t('groups.form.joinCode')}</label>
+                    <input type="text" id="join-code" name="joinCode" required maxlength="10" placeholder="${t('groups.form.joinCodePlaceholder')}">
                     <span class="input-error" id="joinCode-error"></span>
                 </div>
                 
                 <div class="form-group mb-0">
-                    <button type="submit" class="btn btn-primary">Entrar no Grupo</button>
+                    <button type="submit" class="btn btn-primary">${t('groups.join')}</button>
                 </div>
             </form>
         `;
     }
 
-    static createMentorshipModal() {
-        const now = new Date();
-        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        const minDateTime = tomorrow.toISOString().slice(0, 16);
+    // Pass a mentorship to prefill the form for editing
+    static createMentorshipModal(mentorship = null) {
+        // The input holds wall-clock time in the user's zone
+        const timeZone = getUserTimeZone();
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const minDateTime = toZonedInputValue(tomorrow, timeZone);
+        const scheduledDate = mentorship ? toZonedInputValue(mentorship.scheduled_date, timeZone) : '';
 
         return `
             <form id="create-mentorship-form" novalidate>
                 <div class="form-group">
-                    <label for="mentorship-title">Título</label>
-                    <input type="text" id="mentorship-title" name="title" required maxlength="200">
+                    <label for="mentorship-title">${t('common.title')}</label>
+                    <input type="text" id="mentorship-title" name="title" required maxlength="200" value="${ui.escapeHtml(mentorship?.title || '')}">
                     <span class="input-error" id="title-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="mentorship-description">Descrição</label>
-                    <textarea id="mentorship-description" name="description" rows="3" maxlength="1000"></textarea>
+                    <label for="mentorship-description">${t('common.description')}</label>
+                    <textarea id="mentorship-description" name="description" rows="3" maxlength="1000">${ui.escapeHtml(mentorship?.description || '')}</textarea>
                     <span class="input-error" id="description-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="mentorship-date">Data e Hora</label>
-                    <input type="datetime-local" id="mentorship-date" name="scheduled_date" required min="${minDateTime}">
+                    <label for="mentorship-date">${t('mentorships.form.date')} <small>(${ui.escapeHtml(formatTimeZoneName(timeZone))})</small></label>
+                    <input type="datetime-local" id="mentorship-date" name="scheduled_date" required min="${minDateTime}" value="${scheduledDate}">
                     <span class="input-error" id="scheduled_date-error"></span>
                 </div>
                 
+                <div class="form-group">
+                    <label for="mentorship-capacity">${t('mentorships.form.capacity')}</label>
+                    <input type="number" id="mentorship-capacity" name="capacity" min="1" step="1" placeholder="${t('mentorships.form.noLimit')}" value="${mentorship?.capacity || ''}">
+                    <span class="input-error" id="capacity-error"></span>
+                </div>
+                ${mentorship ? '' : Templates.recurrenceFields()}
+                
                 <div class="form-group mb-0">
-                    <button type="submit" class="btn btn-primary">Agendar Mentoria</button>
+                    <button type="submit" class="btn btn-primary">${mentorship ? t('common.saveChanges') : t('mentorships.schedule')}</button>
                 </div>
             </form>
         `;
     }
 
-    static createMaterialModal() {
+    // Recurrence rule inputs for new mentorships; hidden until "repeat" is checked
+    static recurrenceFields() {
+        const weekdays = getWeekdayNames();
+
+        return `
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="mentorship-repeat" name="repeat">
+                    ${t('mentorships.recurrence.repeat')}
+                </label>
+            </div>
+
+            <div id="recurrence-fields" class="hidden">
+                <div class="form-group">
+                    <label for="recurrence-interval">${t('mentorships.recurrence.interval')}</label>
+                    <input type="number" id="recurrence-interval" name="interval" min="1" max="52" step="1" value="1">
+                    <span class="input-error" id="interval-error"></span>
+                </div>
+
+                <div class="form-group">
+                    <label>${t('mentorships.recurrence.weekdays')}</label>
+                    <div class="weekday-picker">
+                        ${weekdays.map((day, index) => `
+                            <label class="checkbox-label">
+                                <input type="checkbox" name="weekdays" value="${index}"> ${day}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <span class="input-error" id="weekdays-error"></span>
+                </div>
+
+                <div class="form-group">
+                    <label>${t('mentorships.recurrence.ends')}</label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="ends" value="count" checked>
+                        ${t('mentorships.recurrence.after')}
+                        <input type="number" id="recurrence-count" name="count" min="1" max="100" step="1" value="10">
+                        ${t('mentorships.recurrence.sessions')}
+                    </label>
+                    <span class="input-error" id="count-error"></span>
+                    <label class="checkbox-label">
+                        <input type="radio" name="ends" value="until">
+                        ${t('mentorships.recurrence.on')}
+                        <input type="date" id="recurrence-until" name="until">
+                    </label>
+                    <span class="input-error" id="until-error"></span>
+                </div>
+            </div>
+        `;
+    }
+
+    static preferencesModal(user) {
+        const locale = user?.locale || getLocale();
+        const current = user?.timezone || getUserTimeZone();
+        const browser = getBrowserTimeZone();
+        const zones = listTimeZones();
+        if (!zones.includes(current)) zones.unshift(current);
+
+        return `
+            <form id="preferences-form" novalidate>
+                <div class="form-group">
+                    <label for="preferences-locale">${t('preferences.language')}</label>
+                    <select id="preferences-locale" name="locale" required>
+                        ${Templates.localeOptions(locale)}
+                    </select>
+                    <span class="input-error" id="locale-error"></span>
+                </div>
+
+                <div class="form-group">
+                    <label for="preferences-timezone">${t('preferences.timezone')}</label>
+                    <select id="preferences-timezone" name="timezone" required>
+                        ${zones.map(zone => `
+                            <option value="${ui.escapeHtml(zone)}" ${zone === current ? 'selected' : ''}>${ui.escapeHtml(formatTimeZoneName(zone))}</option>
+                        `).join('')}
+                    </select>
+                    <span class="input-error" id="timezone-error"></span>
+                    ${browser !== current ? `<small class="item-meta">${t('preferences.deviceZone', { zone: ui.escapeHtml(formatTimeZoneName(browser)) })}</small>` : ''}
+                </div>
+
+                <p class="item-meta">${t('preferences.timezoneHelp')}</p>
+
+                <div class="form-group mb-0">
+                    <button type="submit" class="btn btn-primary">${t('common.save')}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    static calendarFeedModal(feedUrl) {
+        const webcalUrl = feedUrl.replace(/^https?:/, 'webcal:');
+
+        return `
+            <div class="calendar-feed">
+                <p>${t('calendarFeed.intro')}</p>
+
+                <div class="form-group">
+                    <label for="calendar-feed-url">${t('calendarFeed.url')}</label>
+                    <input type="text" id="calendar-feed-url" readonly value="${ui.escapeHtml(feedUrl)}">
+                </div>
+
+                <p class="item-meta">${t('calendarFeed.private')}</p>
+
+                <div class="flex justify-between items-center mt-3">
+                    <button type="button" class="btn btn-secondary btn-small" id="reset-calendar-feed-btn">${t('calendarFeed.reset')}</button>
+                    <div class="flex items-center">
+                        <a href="${ui.escapeHtml(webcalUrl)}" class="btn btn-secondary btn-small">${t('calendarFeed.openApp')}</a>
+                        <button type="button" class="btn btn-primary btn-small" id="copy-calendar-feed-btn">${t('calendarFeed.copy')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Pass a material to prefill the form for editing. Materials are a link
+    // or an uploaded file; the radio buttons switch between the two inputs.
+    static createMaterialModal(material = null) {
+        const isFile = Boolean(material?.file_name);
+
         return `
             <form id="create-material-form" novalidate>
                 <div class="form-group">
-                    <label for="material-title">Título</label>
-                    <input type="text" id="material-title" name="title" required maxlength="200">
+                    <label for="material-title">${t('common.title')}</label>
+                    <input type="text" id="material-title" name="title" required maxlength="200" value="${ui.escapeHtml(material?.title || '')}">
                     <span class="input-error" id="title-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="material-description">Descrição</label>
-                    <textarea id="material-description" name="description" rows="3" maxlength="1000"></textarea>
+                    <label for="material-description">${t('common.description')}</label>
+                    <textarea id="material-description" name="description" rows="3" maxlength="1000">${ui.escapeHtml(material?.description || '')}</textarea>
                     <span class="input-error" id="description-error"></span>
                 </div>
                 
                 <div class="form-group">
-                    <label for="material-url">URL do Material</label>
-                    <input type="url" id="material-url" name="url" required placeholder="https://...">
+                    <label for="material-category">${t('materials.form.category')}</label>
+                    <select id="material-category" name="category">
+                        <option value="">${t('materials.form.noCategory')}</option>
+                        ${Templates.materialCategoryOptions(material?.category || '')}
+                    </select>
+                    <span class="input-error" id="category-error"></span>
+                </div>
+
+                <div class="form-group">
+                    <label for="material-tags">${t('materials.form.tags')}</label>
+                    <input type="text" id="material-tags" name="tags" maxlength="400" placeholder="${t('materials.form.tagsPlaceholder')}" value="${ui.escapeHtml((material?.tags || []).join(', '))}">
+                    <small class="item-meta">${t('materials.form.tagsHelp', { max: MAX_TAGS })}</small>
+                    <span class="input-error" id="tags-error"></span>
+                </div>
+
+                <div class="form-group">
+                    <label>${t('materials.form.source')}</label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="source" value="link" ${isFile ? '' : 'checked'}>
+                        ${t('materials.form.link')}
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="source" value="file" ${isFile ? 'checked' : ''}>
+                        ${t('materials.form.file')}
+                    </label>
+                </div>
+
+                <div class="form-group ${isFile ? 'hidden' : ''}" id="material-link-fields">
+                    <label for="material-url">${t('materials.form.url')}</label>
+                    <input type="url" id="material-url" name="url" placeholder="https://..." value="${isFile ? '' : ui.escapeHtml(material?.url || '')}">
                     <span class="input-error" id="url-error"></span>
                 </div>
+
+                <div class="form-group ${isFile ? '' : 'hidden'}" id="material-file-fields">
+                    <label for="material-file">${t('materials.form.file')}</label>
+                    <input type="file" id="material-file" name="file" accept="${UPLOAD_ACCEPT}">
+                    ${isFile ? `
+                        <small class="item-meta">${t('materials.form.currentFile', {
+                            name: ui.escapeHtml(material.file_name),
+                            size: ui.formatFileSize(material.file_size)
+                        })}</small>
+                    ` : ''}
+                    <small class="item-meta">${t('materials.form.fileHelp', { size: ui.formatFileSize(MAX_UPLOAD_SIZE) })}</small>
+                    <span class="input-error" id="file-error"></span>
+                    <div class="upload-progress hidden" id="material-upload-progress">
+                        <progress max="100" value="0"></progress>
+                        <small class="item-meta" aria-live="polite"></small>
+                    </div>
+                </div>
                 
                 <div class="form-group mb-0">
-                    <button type="submit" class="btn btn-primary">Adicionar Material</button>
+                    <button type="submit" class="btn btn-primary">${material ? t('common.saveChanges') : t('materials.add')}</button>
                 </div>
             </form>
         `;